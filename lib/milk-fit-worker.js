@@ -0,0 +1,15 @@
+/* web worker for dairy.milk.fit (see src/dairy.milk.js) */
+
+onmessage = function (evt) {
+
+    var data = evt.data;
+
+    try {
+        if (typeof dairy === 'undefined' || !dairy.milk || !dairy.fit)
+            importScripts.apply(null, data.scripts || ['../src/dairy.fit.js', '../src/dairy.milk.js']);
+        postMessage(dairy.milk.fit(data.records, data.options));
+    } catch (e) {
+        postMessage({ error: e.message });
+    }
+
+};
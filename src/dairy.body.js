@@ -2,6 +2,11 @@
   Body condition score, mobilization and body weight.
 
   REFERENCES
+
+  Brody, S. 1945. Bioenergetics and growth. Reinhold Publishing Corporation, New York, USA.
+
+  Fitzhugh, H.A. 1976. Analysis of growth curves and strategies for altering their shape. Journal of Animal Science
+  42(4):1036–1051.
   
   Friggens, N.C., Ingvartsen, K.L. and Emmans, G.C. 2004. Prediction of body lipid change in pregnancy and lactation.
   Journal of Dairy Science 87(4):988–1000.
@@ -16,7 +21,13 @@
 
   Metzner, M., Heuwieser, W. und Klee, W. 1993. Die Beurteilung der Körperkondition (body condition scoring) im 
   Herdenmanagement. Der praktische Tierarzt 74(11):991–998.
-  
+
+  Roche, J.R., Dillon, P.G., Stockdale, C.R., Baumgard, L.H. and VanBaale, M.J. 2004. Relationships among
+  international body condition scoring systems. Journal of Dairy Science 87(9):3076–3079.
+
+  von Bertalanffy, L. 1957. Quantitative laws in metabolism and growth. The Quarterly Review of Biology
+  32(3):217–231.
+
   Wright, I.A. and Russel, A.J.F. 1984a. Partition of fat, body composition and body condition score in mature cows.
   Animal Science 38(1):23-32.
 
@@ -40,8 +51,6 @@
   TODO:
   - reference for "DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK"
   - improve BCS function
-  - implement either "full" Friggens approach or investigate how to "reasonably" relate mobilization, day max milk, day
-    min milk solids, day of conception ...
 */
 
 var dairy = dairy || {};
@@ -51,14 +60,41 @@ dairy.body = (function () {
 var pow = Math.pow
   , log = Math.log
   , exp = Math.exp
+  , round = Math.round
   , DAYS_IN_MONTH = 30.5
   , DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK = 55
+  , BCS_MAX = 3.5
+  , BCS_MIN = 3.0
+  , GESTATION_PERIOD = 9            /* [month] */
+  , LIPID_PROTEIN_CALVING = 1.2     /* [kg kg-1] lipid:protein ratio at calving (assumed) */
+  , PROTEIN_LIPID_FREE = 0.21       /* [kg kg-1] protein in lipid-free empty body */
+  , ASH_LIPID_FREE = 0.05           /* [kg kg-1] ash in lipid-free empty body */
+  , EBW_BW = 0.85                   /* [kg kg-1] empty body weight per body weight */
+  , ENERGY_LIPID = 39.6             /* [MJ kg-1] */
+  , ENERGY_PROTEIN = 23.6           /* [MJ kg-1] */
+  , BWC_MAX = 3                     /* [kg d-1] max. weight change of young stock (see BWC_EB) */
   ;
 
+/* BCS scales [min, max]: 1-5 (e.g. Metzner et al. 1993, default), 0-5 (UK), 1-8 (Australia), 1-9 (US, beef) and 1-10
+  (New Zealand) */
+var SCALES = {
+    '1-5': [1, 5]
+  , '0-5': [0, 5]
+  , '1-8': [1, 8]
+  , '1-9': [1, 9]
+  , '1-10': [1, 10]
+};
+
+/* conversions between BCS scales keyed 'from>to' (e.g. '1-5>1-10') as function (BCS) returning BCS on scale to. Used
+  by BCS_scale instead of linear rescaling (see BCS_scale) */
+var conversions = {};
+
 /*
   Metzner et. al. (1993)
 
-  We assume BCS of BCS_max during dry period and a minimum BCS at day d_mx + 55.
+  BCS of a mature cow derived from body lipid (see reserves): BCS_max at calving and a minimum BCS_min at day
+  d_mx + 55. Lipid and BCS are regained with pregnancy (conception at CI - gestation period). The dry period is not
+  used and kept for compatibility.
   BCS is everywhere expressed on a six point scale.
 
   BCS     [-]     body condition score
@@ -70,22 +106,8 @@ var pow = Math.pow
  
 var BCS = function (DIM, CI, DP, d_mx) {
 
-      /* BCS maximum */
-  var BCS_max = 3.5
-      /* BCS minimum */
-    , BCS_min = 3.0
-      /* calving interval in days */
-    , CI_d = CI * DAYS_IN_MONTH
-    , BCS = BCS_max
-    , BWC_0 = DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK + d_mx
-    ;
-
-  if (DIM <= BWC_0)
-    BCS = BCS_max - ((BCS_max - BCS_min) / BWC_0) * DIM; 
-  else if (DIM <= CI_d - DP) 
-    BCS = BCS_min +  ((BCS_max - BCS_min) / (CI_d - DP - BWC_0)) * (DIM - BWC_0);
-
-  return BCS;
+  /* lipid lost per lipid mobilized until the nadir equals BCS lost per BCS_max - BCS_min of a mature cow */
+  return BCS_MAX - (BCS_MAX - BCS_MIN) * drive(DIM, d_mx, CI);
 
 };
 
@@ -142,14 +164,143 @@ var W_b = function (W_m) {
 
 };
 
+/*
+  Fitzhugh (1976)
+
+  Growth curves of the form W = A * f(B, k, age) with mature weight A, integration constant B and rate k:
+
+    brody       W = A * (1 - B * exp(-k * age))           (Brody 1945)
+    gompertz    W = A * exp(-B * exp(-k * age))
+    bertalanffy W = A * pow(1 - B * exp(-k * age), 3)     (von Bertalanffy 1957)
+
+  growthCurve [kg]      body weight at day age
+  model       [enum]    'brody', 'gompertz' or 'bertalanffy'
+  A           [kg]      mature body weight
+  B           [-]       integration constant
+  k           [d-1]     growth rate
+  age         [day]     age in days
+*/
+
+var growthCurve = function (model, A, B, k, age) {
+
+  if (model === 'brody')
+    return A * (1 - B * exp(-k * age));
+  if (model === 'gompertz')
+    return A * exp(-B * exp(-k * age));
+  if (model === 'bertalanffy')
+    return A * pow(1 - B * exp(-k * age), 3);
+
+  throw new Error('unknown growth curve ' + model);
+
+};
+
+/* integration constant B of a growth curve through birth weight W_b at age 0 */
+
+var growthB = function (model, A, W_b) {
+
+  if (model === 'brody')
+    return 1 - W_b / A;
+  if (model === 'gompertz')
+    return log(A / W_b);
+  if (model === 'bertalanffy')
+    return 1 - pow(W_b / A, 1 / 3);
+
+  throw new Error('unknown growth curve ' + model);
+
+};
+
+/*
+  Fit a growth curve (see growthCurve) to the weighing records of a heifer or of a herd (all records are pooled) by
+  non-linear least squares (see dairy.fit.lm). If W_b is provided the curve is forced through the birth weight and only
+  A and k are fitted. Confidence intervals of the parameters and of the weight at first calving are derived from the
+  Student t distribution (see dairy.fit).
+
+  Returns an object
+
+  model     [enum]    growth curve
+  A         [kg]      mature body weight (use as W_m)
+  B         [-]       integration constant
+  k         [d-1]     growth rate
+  SE        [object]  standard errors { A, B, k } (B is null if W_b is provided)
+  CI        [object]  confidence intervals { A, B, k } [lower, upper]
+  level     [-]       confidence level
+  n         [#]       no. of records
+  RMSE      [kg]      root mean squared error
+  R2        [-]       coefficient of determination
+  converged [bool]    if the fit converged
+  W_c1      [object]  projected weight at first calving { age [month], BW [kg], SE [kg], CI [kg] [lower, upper],
+                      W_c1 [kg kg-1] fraction of mature body weight }
+
+  records   [array]   weighing records { age [day], BW [kg] }
+  options   [object]
+    model   [enum]    'brody', 'gompertz' or 'bertalanffy' (default 'gompertz')
+    W_b     [kg]      birth weight: fix the curve at age 0
+    W_m     [kg]      start value of mature body weight (default 1.3 times the heaviest record)
+    age_c1  [month]   age at first calving (default 24)
+    level   [-]       confidence level (default 0.95)
+*/
+
+var fitGrowth = function (records, options) {
+
+  options = options || {};
+
+  var model = options.model || 'gompertz'
+    , age_c1 = (typeof options.age_c1 === 'number') ? options.age_c1 : 24
+    , fixed = typeof options.W_b === 'number'
+    , t = []
+    , y = []
+    , W_max = 0
+    ;
+
+  for (var r = 0, rs = records.length; r < rs; r++) {
+    if (typeof records[r].age === 'number' && typeof records[r].BW === 'number') {
+      t.push(records[r].age);
+      y.push(records[r].BW);
+      W_max = (records[r].BW > W_max) ? records[r].BW : W_max;
+    }
+  }
+
+  var A_0 = (typeof options.W_m === 'number') ? options.W_m : 1.3 * W_max
+    , B_0 = growthB(model, A_0, fixed ? options.W_b : W_b(A_0))
+    , k_0 = (model === 'brody') ? 0.002 : 0.004 /* start value of the rate */
+    , f = fixed ? function (age, p) { return growthCurve(model, p[0], growthB(model, p[0], options.W_b), p[1], age); }
+        : function (age, p) { return growthCurve(model, p[0], p[1], p[2], age); }
+    , fit = dairy.fit.lm(f, t, y, fixed ? [A_0, k_0] : [A_0, B_0, k_0], { level: options.level })
+    , p = fit.params
+    , A = p[0]
+    , B = fixed ? growthB(model, A, options.W_b) : p[1]
+    , k = fixed ? p[1] : p[2]
+    , c1 = dairy.fit.delta(fit, function (q) { return f(age_c1 * DAYS_IN_MONTH, q); })
+    ;
+
+  return {
+      model: model
+    , A: A
+    , B: B
+    , k: k
+    , SE: { A: fit.SE[0], B: fixed ? null : fit.SE[1], k: fixed ? fit.SE[1] : fit.SE[2] }
+    , CI: { A: fit.CI[0], B: fixed ? null : fit.CI[1], k: fixed ? fit.CI[1] : fit.CI[2] }
+    , level: fit.level
+    , n: fit.n
+    , RMSE: fit.RMSE
+    , R2: fit.R2
+    , converged: fit.converged
+    , W_c1: {
+          age: age_c1
+        , BW: c1.value
+        , SE: c1.SE
+        , CI: c1.CI
+        , W_c1: c1.value / A
+      }
+  };
+
+};
+
 /*
   Wright, Russel (1984b) table 2, Wright, Russel (1984a) table 1 
 
   Mobilization of body fat in early lactation.
 
-  TODO:
-    - body lipid change to body weight change conversion?
-
   W_mob [kg]    mobilized body fat
   W_m   [kg]    mature body weight
   type  [enum]  cow type (milk or dual)
@@ -158,33 +309,38 @@ var W_b = function (W_m) {
 var W_mob = function (W_m, type) {
 
   var W_mob = 0
-    , b_1 = (type === 'dual' ? 52.3 : 84.2)
-    , BCS_mx = 3.5
-    , BCS_mn = 3.0
-    , W_ref = (type === 'dual' ? 542 : 560)
+    , BCS_mx = BCS_MAX
+    , BCS_mn = BCS_MIN
     ;
     
-  W_mob = b_1 * (BCS_mx - BCS_mn) * W_m / W_ref;
+  W_mob = W_BCS(W_m, type) * (BCS_mx - BCS_mn);
 
   return W_mob;
 
 };
 
-/*  
-  Friggens et. al. (2004)
+/*
+  Wright, Russel (1984b) table 2, Wright, Russel (1984a) table 1 
 
-  Body weight change of young stock and cows (dry or lactating). Simplified version of Friggens' approach.
+  Body fat per unit BCS scaled by mature body weight.
 
-  We assume that..
+  W_BCS [kg]    body fat per BCS unit
+  W_m   [kg]    mature body weight
+  type  [enum]  cow type (milk or dual)
+*/
 
-  * the day of zero mobilization is 55 days after milk peaks (d_0).
-  * either the cow mobilizes or gains weight, there is no longer period w/o weight change.
-  * a mature cow gains after d_0 the same amout of body weight she lost till day d_0.
-  * a growing cow will additionally gain the total body weight she should gain according to growth (W) function within
-    the total lactaion after d_0 (i.e. she will not grow during mobilization but compensate those "losses", "non-gains").
+var W_BCS = function (W_m, type) {
 
-  TODO:
-  - fat vs body weight (tissue). fat === body weight ?
+  var b_1 = (type === 'dual' ? 52.3 : 84.2)
+    , W_ref = (type === 'dual' ? 542 : 560)
+    ;
+
+  return b_1 * W_m / W_ref;
+
+};
+
+/*  
+  Body weight change of young stock and cows (dry or lactating) derived from body lipid and protein (see reserves).
 
   BWC     [kg d-1]  body weight change
   DPP     [day]     days post partum 
@@ -200,54 +356,91 @@ var W_mob = function (W_m, type) {
 
 var BWC = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type) {
 
-  var BWC = 0;
+  return reserves(DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type).BWC;
 
-  /* month to days */
-  CI = CI * DAYS_IN_MONTH;
+};
 
-  /* day of zero mobilization */
-  var d_0 = d_mx + DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK;
+/*  
+  Body weight of young stock and cows (dry or lactating) derived from body lipid and protein (see reserves).
 
-  if (age < age_c1 * DAYS_IN_MONTH) { /* young stock */
+  BW      [kg]      body weight at day age
+  DPP     [day]     days post partum 
+  d_mx    [day]     day milk peaks
+  age     [day]     cow's age in days
+  CI      [m]       calving interval in month
+  W_m     [kg]      mature body weight
+  age_c1  [month]   age first calving
+  W_b     [kg]      weight of calf at birth 
+  W_c1    [kg kg-1] fraction (recommended) of mature body weight at first calving
+  type    [enum]    cow type (milk or dual)
+*/
 
-    BWC = W(age, age_c1, W_b, W_c1, W_m) - W(age - 1, age_c1, W_b, W_c1, W_m);
+var BW = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type) {
 
-  } else { /* cows */
+  return lipidProtein(DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type).BW;
 
-    /* body weight mobilized [kg] */
-    var mob = W_mob(W(age - DPP, age_c1, W_b, W_c1, W_m), type);
-  
-    if (DPP < d_0) { /* cow is mobilizing */
+};
 
-      BWC = (2 * DPP * mob / pow(d_0, 2)) - (2 * mob / d_0);
-    
-    } else if (DPP > d_0) { /* cow is gaining weight */
+/*  
+  Body weight at calving
 
-      /* total growth in between two calvings */
-      G = W(age - DPP + CI, age_c1, W_b, W_c1, W_m) - W(age - DPP, age_c1, W_b, W_c1, W_m);
+  BW_c    [kg]      body weight at calving
+  DPP     [day]     days post partum 
+  age     [day]     cow's age in days
+  W_m     [kg]      mature body weight
+  age_c1  [month]   age first calving
+  W_b     [kg]      weight of calf at birth 
+  W_c1    [kg kg-1] fraction (recommended) of mature body weight at first calving
+*/
 
-      /* growth weight gain at day age */
-      dG = 2 * G / pow(CI - d_0, 2) * (DPP - d_0);
+var BW_c = function (DPP, age, W_m, age_c1, W_b, W_c1) {
 
-      /* weight gain reconstitution at day age */
-      dW_mob = 2 * mob / pow(CI - d_0, 2) * (DPP - d_0);
+  return W(age - DPP, age_c1, W_b, W_c1, W_m);
 
-      BWC = dG + dW_mob;
+};
 
-    }
-  }
+/*
+  Body lipid and protein of young stock and cows (dry or lactating) and body weight, BCS and energy change derived from
+  body composition. This is an empirical approximation and not the model of Friggens et al. (2004): Body protein
+  follows growth and body lipid is expressed relative to body protein (lipid:protein ratio). The ratio falls from its
+  value at calving LP_c to a nadir LP_n in early lactation and rises again with pregnancy:
 
-  return BWC;
+    ratio     = LP_c - (LP_c - LP_n) * lac * (1 - preg)
+    lac       = (DPP / d_0) * exp(1 - DPP / d_0)    (1 at the nadir d_0 = d_mx + 55, slowly decaying afterwards)
+    preg      = (DG / GP)^2                         (0 at conception, 1 at calving)
 
-};
+  Both functional forms are assumptions and not fitted to data. The nadir is not predicted but derived from the body
+  fat mobilized in W_mob. Lipid loss is fastest right after calving. BW and BWC are the body weight and its change of
+  reserves (with the default DG) and BCS is the BCS of reserves of a mature cow.
 
-/*  
-  Friggens et. al. (2004)
+  We assume that..
 
-  Body weight change of young stock and cows (dry or lactating).
+  * the lipid:protein ratio at calving LP_c (the cow's lipid target, default LIPID_PROTEIN_CALVING, assumed) is reached
+    by cows and young stock on the growth curve.
+  * body protein is not mobilized and follows the growth function W (protein of the lipid-free empty body).
+  * the lipid lost until the nadir equals the mobilized body fat of W_mob and one BCS unit corresponds to
+    b_1 * W_m / W_ref kg lipid (see W_BCS) i.e. BCS drops from BCS_max to BCS_min at the nadir.
+  * empty body weight is EBW_BW of body weight. Lipid-free empty body contains a constant fraction of protein and ash,
+    the rest is water. The conceptus is not part of body weight.
+  * non-pregnant cows (DG = 0) slowly regain lipid through the decay of the lactation drive only.
+
+  Energy content of lipid and protein 39.6 and 23.6 MJ kg-1.
+
+  Returns an object
+
+  L       [kg]      body lipid
+  P       [kg]      body protein
+  water   [kg]      body water
+  ash     [kg]      body ash
+  EBW     [kg]      empty body weight
+  BW      [kg]      body weight
+  BWC     [kg d-1]  body weight change
+  BCS     [-]       body condition score
+  dL      [kg d-1]  body lipid change
+  dP      [kg d-1]  body protein change
+  E       [MJ d-1]  energy retained in (positive) or mobilized from (negative) body tissue
 
-  BW      [kg]      body weight at day age
-  DPP     [day]     days post partum 
+  DPP     [day]     days post partum (ignored for young stock)
   d_mx    [day]     day milk peaks
   age     [day]     cow's age in days
   CI      [m]       calving interval in month
@@ -256,71 +449,468 @@ var BWC = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type) {
   W_b     [kg]      weight of calf at birth 
   W_c1    [kg kg-1] fraction (recommended) of mature body weight at first calving
   type    [enum]    cow type (milk or dual)
+  DG      [day]     days of gestation (default from CI: conception at CI - gestation period)
+  LP_c    [kg kg-1] lipid:protein ratio at calving (default LIPID_PROTEIN_CALVING)
 */
 
-var BW = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type) {
+var reserves = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type, DG, LP_c) {
+
+  var today = lipidProtein(DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type, DG, LP_c)
+    , isCow = age >= age_c1 * DAYS_IN_MONTH && DPP > 0
+    , yesterday = lipidProtein(isCow ? DPP - 1 : DPP, d_mx, age - 1, CI, W_m, age_c1, W_b, W_c1, type,
+        (typeof DG === 'number' && DG > 0) ? DG - 1 : DG, LP_c)
+    ;
 
-  var BW = 0;
+  today.BWC = today.BW - yesterday.BW;
+  today.dL = today.L - yesterday.L;
+  today.dP = today.P - yesterday.P;
+  today.E = ENERGY_LIPID * today.dL + ENERGY_PROTEIN * today.dP;
 
-  /* month to days */
-  CI = CI * DAYS_IN_MONTH;
+  return today;
 
-  /* day of zero mobilization */
-  var d_0 = d_mx + DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK;
+};
 
-  if (age < age_c1 * DAYS_IN_MONTH) { /* young stock */
+/* body lipid and protein at day age (see reserves) */
 
-    BW = W(age, age_c1, W_b, W_c1, W_m);
+var lipidProtein = function (DPP, d_mx, age, CI, W_m, age_c1, W_b, W_c1, type, DG, LP_c) {
 
-  } else { /* cows */
+  LP_c = (typeof LP_c === 'number' && LP_c > 0) ? LP_c : LIPID_PROTEIN_CALVING;
 
-    /* body weight mobilized [kg] */
-    var mob = W_mob(W(age - DPP, age_c1, W_b, W_c1, W_m), type);
-  
-    /* body weight at begin of lactation */
-    BW = W(age - DPP, age_c1, W_b, W_c1, W_m);
-  
-    /* integral from 0 to DPP */
-    if (DPP < d_0) /* cow is mobilizing */
-      BW -= 2 * mob * (d_0 * DPP - pow(DPP, 2) / 2) / pow(d_0, 2);
+      /* lipid-free empty body and protein on the growth curve at the lipid target */
+  var LF = EBW_BW * W(age, age_c1, W_b, W_c1, W_m) / (1 + PROTEIN_LIPID_FREE * LP_c)
+    , P = PROTEIN_LIPID_FREE * LF
+    , LP = LP_c
+    , BCS = BCS_MAX
+    ;
+
+  if (age >= age_c1 * DAYS_IN_MONTH) { /* cows */
+
+        /* protein at calving and lipid mobilized until the nadir */
+    var P_c = PROTEIN_LIPID_FREE * EBW_BW * W(age - DPP, age_c1, W_b, W_c1, W_m) / (1 + PROTEIN_LIPID_FREE * LP_c)
+      , mob = W_mob(W(age - DPP, age_c1, W_b, W_c1, W_m), type)
+      , LP_n = LP_c - mob / P_c
+      ;
+
+    LP = LP_c - (LP_c - LP_n) * drive(DPP, d_mx, CI, DG);
+    /* kg lipid per BCS unit (see W_mob) */
+    BCS = BCS_MAX - (LP_c - LP) * P / W_BCS(W_m, type);
+
+  }
+
+  var L = LP * P
+    , EBW = L + P / PROTEIN_LIPID_FREE
+    ;
+
+  return {
+      L: L
+    , P: P
+    , water: P / PROTEIN_LIPID_FREE * (1 - PROTEIN_LIPID_FREE - ASH_LIPID_FREE)
+    , ash: P / PROTEIN_LIPID_FREE * ASH_LIPID_FREE
+    , EBW: EBW
+    , BW: EBW / EBW_BW
+    , BCS: BCS
+  };
+
+};
+
+/* share lac * (1 - preg) of the lipid mobilized until the nadir that is lost at DPP (see reserves) */
+
+var drive = function (DPP, d_mx, CI, DG) {
+
+  var d_0 = d_mx + DAYS_ZERO_MOBILIZATION_AFTER_MILK_PEAK
+    , GP = GESTATION_PERIOD * DAYS_IN_MONTH
+    , lac = (DPP / d_0) * exp(1 - DPP / d_0)
+    , preg = 0
+    ;
+
+  if (typeof DG !== 'number')
+    DG = DPP - (CI * DAYS_IN_MONTH - GP);
+
+  if (DG > 0)
+    preg = pow((DG > GP ? GP : DG) / GP, 2);
+
+  return lac * (1 - preg);
+
+};
+
+/*
+  Chemical body composition from body weight and BCS. The composition is derived from the assumptions of reserves and
+  not from the regressions of Wright & Russel (1984b): Only the body fat per BCS unit (b_1 / W_ref, see W_BCS) is taken
+  from Wright & Russel (1984a, 1984b). At BCS_max the ratio of fat to fat-free empty body is k_max = LP_c *
+  PROTEIN_LIPID_FREE (lipid:protein ratio LIPID_PROTEIN_CALVING, see reserves). At a constant fat-free empty body
+  (FFEBW) the ratio k changes exponentially with BCS such that body fat changes by W_BCS kg per BCS unit at BCS_max of a
+  cow with body weight BW_max = FFEBW * (1 + k_max) / EBW_BW and by less if the cow is leaner i.e. body fat remains
+  positive on the whole scale (a linear change would reach zero fat above BCS 2.3):
+
+    s   = b_1 / W_ref * (1 + k_max) / EBW_BW / k_max
+    k   = k_max * exp(s * (BCS - BCS_max))
+    fat = k * EBW / (1 + k)
+
+  The exponential form is an assumption. Protein, water and ash are constant fractions of FFEBW. Energy is computed
+  from the masses of fat and protein.
+
+  Energy content of fat and protein 39.6 and 23.6 MJ kg-1.
+
+  Returns an object
+
+  EBW     [kg]      empty body weight
+  fat     [kg]      body fat
+  protein [kg]      body protein
+  water   [kg]      body water
+  ash     [kg]      body ash
+  E       [MJ]      energy in body fat and protein
+
+  BW      [kg]      body weight
+  BCS     [-]       body condition score
+  type    [enum]    cow type (milk or dual)
+*/
+
+var composition = function (BW, BCS, type) {
+
+  var k = fatRatio(BCS, type)
+    , EBW = EBW_BW * BW
+    , FFEBW = EBW / (1 + k) /* fat-free empty body */
+    , fat = k * FFEBW
+    , protein = PROTEIN_LIPID_FREE * FFEBW
+    ;
+
+  return {
+      EBW: EBW
+    , fat: fat
+    , protein: protein
+    , water: (1 - PROTEIN_LIPID_FREE - ASH_LIPID_FREE) * FFEBW
+    , ash: ASH_LIPID_FREE * FFEBW
+    , E: ENERGY_LIPID * fat + ENERGY_PROTEIN * protein
+  };
+
+};
+
+/* fat to fat-free empty body k at BCS (see composition), W_BCS(1, type) is b_1 / W_ref */
+
+var fatRatio = function (BCS, type) {
+
+  var k_max = LIPID_PROTEIN_CALVING * PROTEIN_LIPID_FREE
+    , s = W_BCS(1 + k_max, type) / EBW_BW / k_max
+    ;
+
+  return k_max * exp(s * (BCS - BCS_MAX));
+
+};
+
+/*
+  Body weight and energy change if BCS changes from BCS to BCS_new at a constant fat-free empty body (see composition).
+  Energy is the gross energy of the body tissue mobilized (negative) or stored (positive). The energy available for or
+  required by the cow depends on the efficiency of its use (see weight requirements in dairy.requirements).
+
+  Returns an object
+
+  BW      [kg]      body weight at BCS_new
+  BWC     [kg]      body weight change
+  fat     [kg]      body fat change
+  E       [MJ]      energy change
+
+  BW      [kg]      body weight at BCS
+  BCS     [-]       body condition score
+  BCS_new [-]       body condition score after the change
+  type    [enum]    cow type (milk or dual)
+*/
+
+var mobilization = function (BW, BCS, BCS_new, type) {
+
+  var before = composition(BW, BCS, type)
+    , FFEBW = before.EBW - before.fat
+    , BW_new = FFEBW * (1 + fatRatio(BCS_new, type)) / EBW_BW
+    , after = composition(BW_new, BCS_new, type)
+    ;
+
+  return {
+      BW: BW_new
+    , BWC: BW_new - BW
+    , fat: after.fat - before.fat
+    , E: after.E - before.E
+  };
+
+};
+
+/*
+  Body weight change from the energy balance (energy supply minus maintenance, production and gestation requirements
+  of dairy.requirements). Inverse of the weight change requirements (weit) of the evaluation systems: A surplus is
+  stored with the energy required per kg gain (reconstitution) and a deficit is covered with the energy supplied per kg
+  mobilized body tissue. Both include the energy content of the tissue and the efficiency of its use (see
+  dairy.requirements).
+
+  The young stock equations are regressions with an intercept and not linear in BWC: BWC is found by bisection from the
+  requirements relative to zero gain (weit(BWC) - weit(0) = EB) such that BWC is zero at EB = 0 and has the sign of EB.
+  Losses of young stock extrapolate the gain equations. In system gb the young stock gain requirements are part of
+  maintenance (48.6 MJ ME per kg gain, see dairy.requirements.gb.main).
+
+  BWC_EB  [kg d-1]      body weight change
+  EB      [MJ or UFL]   energy balance (NEL for de, ME for fi and gb, UFL for fr)
+  BW      [kg]          body weight
+  system  [enum]        'de', 'fi', 'gb' or 'fr'
+  type    [enum]        cow type (milk or dual), only used with system fi
+  p       [#]           parity
+*/
+
+var BWC_EB = function (EB, BW, system, type, p) {
+
+  var weit = function (BWC) {
+    var sys = dairy.requirements[system];
+    if (system === 'de')
+      return sys.weit(BWC, BW, p).E;
+    if (system === 'fi')
+      return sys.weit(BWC, BW, type, p).E;
+    if (system === 'gb' && p > 0)
+      return sys.weit(BWC, p).E;
+    if (system === 'gb') /* gain is part of young stock maintenance, DMI and ME cancel out in the difference */
+      return sys.main(BW, 1, 11, 1, null, null, BWC, p).E - sys.main(BW, 1, 11, 1, null, null, 0, p).E;
+    return sys.weit(BW, BWC, 0, p).E;
+  };
+
+  if (!dairy.requirements[system])
+    throw new Error('unknown requirements system ' + system);
+
+  if (p > 0) /* per kg gain or loss */
+    return (EB >= 0) ? EB / weit(1) : -EB / weit(-1);
+
+  if (EB === 0)
+    return 0;
+
+  var E_0 = weit(0)
+    , lo = (EB > 0) ? 0 : -BWC_MAX
+    , hi = (EB > 0) ? BWC_MAX : 0
+    ;
+
+  if (weit(lo) - E_0 > EB)
+    return lo;
+  if (weit(hi) - E_0 < EB)
+    return hi;
+
+  for (var i = 0; i < 50; i++) {
+    var mid = (lo + hi) / 2;
+    if (weit(mid) - E_0 > EB)
+      hi = mid;
     else
-      BW -= mob;
-    
-    if (DPP > d_0) { /* cow is beyond d_0 */
+      lo = mid;
+  }
+
+  return (lo + hi) / 2;
+
+};
 
-      /* total growth in between two calvings */
-      G = W(age - DPP + CI, age_c1, W_b, W_c1, W_m) - W(age - DPP, age_c1, W_b, W_c1, W_m);
+/*
+  Body weight and BCS driven by the energy balance instead of DPP (see BWC). Each day body weight changes with the
+  energy surplus or deficit (see BWC_EB). The change of empty body weight (EBW_BW of BWC) is split into lipid and
+  protein as in reserves: Cows do not mobilize or gain protein and the change is lipid. Young stock gain or lose tissue
+  with the composition of growth (lipid:protein ratio LIPID_PROTEIN_CALVING, protein fraction PROTEIN_LIPID_FREE of the
+  lipid-free empty body). BCS changes with the lipid change relative to growth: one BCS unit corresponds to W_BCS kg
+  lipid i.e. BCS of young stock does not change. BCS is not bounded: check results for plausibility if deficits are
+  large.
+
+  Returns an array with one object per day { EB, BW [kg], BWC [kg d-1], BCS, dL [kg d-1] lipid change, dP [kg d-1]
+  protein change, E [MJ d-1] energy change of body tissue } with BW and BCS at the end of the day
+
+  EB      [array]       daily energy balance (NEL for de, ME for fi and gb, UFL for fr) or
+          [number]      energy balance of a single day
+  BW      [kg]          body weight at the start
+  BCS     [-]           body condition score at the start
+  W_m     [kg]          mature body weight
+  system  [enum]        'de', 'fi', 'gb' or 'fr'
+  type    [enum]        cow type (milk or dual)
+  p       [#]           parity
+*/
 
-      /* integral growth weight gain */
-      BW += G * pow(d_0 - DPP, 2) / pow(d_0 - CI, 2);
-      // BW += (2 * G * (pow(DPP, 2) / 2 - d_0 * DPP) / pow(CI - d_0, 2));
+var balance = function (EB, BW, BCS, W_m, system, type, p) {
 
-      /* integral weight gain reconstitution at day age */
-      BW += mob * pow(d_0 - DPP, 2) / pow(d_0 - CI, 2);
-      // BW += (2 * mob * (pow(DPP, 2) / 2 - d_0 * DPP) / pow(CI - d_0, 2));
+  var days = []
+    , W_unit = W_BCS(W_m, type)
+    , k_g = LIPID_PROTEIN_CALVING * PROTEIN_LIPID_FREE /* lipid to lipid-free empty body of growth */
+      /* lipid and protein per kg empty body weight change */
+    , L_EBW = (p > 0) ? 1 : k_g / (1 + k_g)
+    , P_EBW = (p > 0) ? 0 : PROTEIN_LIPID_FREE / (1 + k_g)
+    ;
 
-    }
+  EB = Array.isArray(EB) ? EB : [EB];
+
+  for (var d = 0, ds = EB.length; d < ds; d++) {
+    var BWC = BWC_EB(EB[d], BW, system, type, p)
+      , dL = L_EBW * EBW_BW * BWC
+      , dP = P_EBW * EBW_BW * BWC
+      ;
+    BW += BWC;
+    /* lipid change relative to the lipid:protein ratio of growth */
+    BCS += (dL - LIPID_PROTEIN_CALVING * dP) / W_unit;
+    days.push({
+        EB: EB[d]
+      , BW: BW
+      , BWC: BWC
+      , BCS: BCS
+      , dL: dL
+      , dP: dP
+      , E: ENERGY_LIPID * dL + ENERGY_PROTEIN * dP
+    });
   }
 
-  return BW;
+  return days;
 
 };
 
-/*  
-  Body weight at calving
+/*
+  Conversion between BCS scales. If a conversion from scale from to scale to is added to conversions it is used (e.g.
+  the regressions between national scales of Roche et al. (2004) or local conversion tables). Otherwise scores are
+  converted by linear rescaling of the scale ranges (minimum to minimum, maximum to maximum). This is an approximation
+  and not a published conversion: Scales that differ in what a score describes are not converted correctly (e.g. 3.0
+  on scale 1-5 is converted to 5.5 on scale 1-10).
+
+  BCS_scale [-]       body condition score on scale to
+  BCS       [-]       body condition score on scale from
+  from      [enum]    scale of BCS (see SCALES), default '1-5'
+  to        [enum]    target scale (see SCALES), default '1-5'
+*/
 
-  BW_c    [kg]      body weight at calving
-  DPP     [day]     days post partum 
-  age     [day]     cow's age in days
-  W_m     [kg]      mature body weight
-  age_c1  [month]   age first calving
-  W_b     [kg]      weight of calf at birth 
-  W_c1    [kg kg-1] fraction (recommended) of mature body weight at first calving
+var BCS_scale = function (BCS, from, to) {
+
+  var f = SCALES[from || '1-5']
+    , t = SCALES[to || '1-5']
+    , convert = conversions[(from || '1-5') + '>' + (to || '1-5')]
+    ;
+
+  if (!f || !t)
+    throw new Error('unknown BCS scale ' + (!f ? from : to));
+
+  if (typeof convert === 'function')
+    return convert(BCS);
+
+  return t[0] + (BCS - f[0]) * (t[1] - t[0]) / (f[1] - f[0]);
+
+};
+
+/*
+  Expected BCS and body weight profile of a cow re-anchored to observed BCS and body weight records and a report of the
+  deviations from the expected (target) profile.
+
+  The expected profile is BCS (and BW if the cow's growth parameters are provided). The deviation from the target is
+  interpolated linearly between observations, held constant before the first observation and assumed to vanish
+  linearly until the end of the lactation (CI - DP) after the last observation i.e. the cow returns to the target
+  until dry off.
+
+  Returns an object
+
+  deviations  [array]   per observation { DIM, type ('BCS' or 'BW'), observed, target, deviation, message }
+  profile     [array]   per day in milk (0 to CI - DP) { DIM, BCS, BCS_target, BW, BW_target } with BCS on the scale
+                        of the records (BW only if options.W_m is provided)
+
+  records   [array]     observations { DIM [day], BCS [-] and/or BW [kg] }
+  CI        [month]     calving interval in month
+  DP        [day]       dry period in days
+  d_mx      [day]       day milk peaks
+  options   [object]
+    id        [string]  id of the cow used in messages (default 'cow')
+    scale     [enum]    BCS scale of the records (see SCALES), default '1-5'
+    tolerance [object]  deviations reported as on target { BCS [-] default 0.25 (scale 1-5), BW [kg kg-1] default 0.05 }
+    age       [day]     age at calving, W_m [kg], age_c1 [month], W_b [kg], W_c1 [kg kg-1], type [enum] (see BW).
+                        Body weight records are only evaluated if age and W_m are provided.
 */
 
-var BW_c = function (DPP, age, W_m, age_c1, W_b, W_c1) {
+var anchor = function (records, CI, DP, d_mx, options) {
 
-  return W(age - DPP, age_c1, W_b, W_c1, W_m);
+  options = options || {};
+
+  var id = options.id || 'cow'
+    , scale = options.scale || '1-5'
+    , tol = options.tolerance || {}
+    , tol_BCS = (typeof tol.BCS === 'number') ? tol.BCS : 0.25
+    , tol_BW = (typeof tol.BW === 'number') ? tol.BW : 0.05
+    , hasBW = typeof options.W_m === 'number' && typeof options.age === 'number'
+    , W_b_ = (typeof options.W_b === 'number') ? options.W_b : (hasBW ? W_b(options.W_m) : 0)
+    , end = round(CI * DAYS_IN_MONTH - DP)
+    , result = { deviations: [], profile: [] }
+    , obs = { BCS: [], BW: [] }
+    ;
+
+  var target = function (type, DIM) {
+    if (type === 'BCS')
+      return BCS(DIM, CI, DP, d_mx);
+    return BW(DIM, d_mx, options.age + DIM, CI, options.W_m, options.age_c1, W_b_, options.W_c1, options.type);
+  };
+
+  /* deviation at DIM interpolated from observations */
+  var deviation = function (type, DIM) {
+    var o = obs[type];
+    if (o.length === 0)
+      return 0;
+    if (DIM <= o[0].DIM)
+      return o[0].deviation;
+    for (var i = 1, is = o.length; i < is; i++) {
+      if (DIM <= o[i].DIM) {
+        var a = o[i - 1], b = o[i];
+        return a.deviation + (b.deviation - a.deviation) * (DIM - a.DIM) / (b.DIM - a.DIM);
+      }
+    }
+    var last = o[o.length - 1];
+    return (DIM >= end || last.DIM >= end) ? 0 : last.deviation * (end - DIM) / (end - last.DIM);
+  };
+
+  records = records.slice().sort(function (a, b) { return a.DIM - b.DIM; });
+
+  for (var r = 0, rs = records.length; r < rs; r++) {
+
+    var record = records[r];
+
+    if (typeof record.BCS === 'number') {
+      var observed = BCS_scale(record.BCS, scale, '1-5')
+        , expected = target('BCS', record.DIM)
+        , dev = observed - expected
+        , scaled = BCS_scale(expected + dev, '1-5', scale) - BCS_scale(expected, '1-5', scale)
+        ;
+      obs.BCS.push({ DIM: record.DIM, deviation: dev });
+      result.deviations.push({
+          DIM: record.DIM
+        , type: 'BCS'
+        , observed: record.BCS
+        , target: BCS_scale(expected, '1-5', scale)
+        , deviation: scaled
+        , message: (Math.abs(dev) <= tol_BCS) ? id + ' is on target at ' + record.DIM + ' DIM'
+          : id + ' is ' + round(Math.abs(scaled) * 100) / 100 + ' BCS ' + (dev < 0 ? 'under' : 'over') +
+            ' target at ' + record.DIM + ' DIM'
+      });
+    }
+
+    if (typeof record.BW === 'number' && hasBW) {
+      var expected = target('BW', record.DIM)
+        , dev = record.BW - expected
+        ;
+      obs.BW.push({ DIM: record.DIM, deviation: dev });
+      result.deviations.push({
+          DIM: record.DIM
+        , type: 'BW'
+        , observed: record.BW
+        , target: expected
+        , deviation: dev
+        , message: (Math.abs(dev) <= tol_BW * expected) ? id + ' is on target at ' + record.DIM + ' DIM'
+          : id + ' is ' + round(Math.abs(dev)) + ' kg (' + round(Math.abs(dev) / expected * 100) + ' %) ' +
+            (dev < 0 ? 'under' : 'over') + ' target at ' + record.DIM + ' DIM'
+      });
+    }
+
+  }
+
+  for (var DIM = 0; DIM <= end; DIM++) {
+    var BCS_target = target('BCS', DIM)
+      , day = {
+            DIM: DIM
+          , BCS: BCS_scale(BCS_target + deviation('BCS', DIM), '1-5', scale)
+          , BCS_target: BCS_scale(BCS_target, '1-5', scale)
+        }
+      ;
+    if (hasBW) {
+      day.BW_target = target('BW', DIM);
+      day.BW = day.BW_target + deviation('BW', DIM);
+    }
+    result.profile.push(day);
+  }
+
+  return result;
 
 };
 
@@ -338,6 +928,23 @@ return {
   , weightPotential: W
   , WB: W_b
   , weightAtBirth: W_b
+  , reserves: reserves
+  , bodyReserves: reserves
+  , BWC_EB: BWC_EB
+  , weightChangeFromBalance: BWC_EB
+  , balance: balance
+  , reserveDynamics: balance
+  , composition: composition
+  , bodyComposition: composition
+  , mobilization: mobilization
+  , conditionChange: mobilization
+  , growthCurve: growthCurve
+  , fitGrowth: fitGrowth
+  , BCS_scale: BCS_scale
+  , convertConditionScore: BCS_scale
+  , conversions: conversions
+  , anchor: anchor
+  , observedProfile: anchor
 
 };
 
@@ -0,0 +1,247 @@
+/*
+  Breed parameters: a registry of breed specific parameters and the parameters of crossbred animals.
+
+  Each breed is described by
+
+  W_m     [kg]      mature body weight
+  W_b     [kg]      weight of calf at birth
+  a       [-]       Wood scale factor (see dairy.milk.milk, week of lactation, parity > 2)
+  b       [-]       Wood shape constant
+  c       [-]       Wood shape constant
+  fat     [%]       average milk fat
+  protein [%]       average milk protein
+  type    [enum]    'milk' or 'dual' (mobilization type, see dairy.body)
+
+  The default values are typical values for German and Austrian herds and not breed standards. The shape of the Wood
+  curve (b, c) is fitted to the DLG (2006) yield data (8500 kg level) for all breeds and a is scaled to a 305 days milk
+  yield of 9000 kg (Holstein), 7500 kg (Fleckvieh and Brown Swiss) and 6000 kg (Jersey). Adjust them to the herd (e.g.
+  with dairy.milk.fromYield) or add breeds with add.
+
+  Crossbred animals are described by their breed composition (fraction of genes per breed) and heterozygosity (fraction
+  of loci with genes from different breeds). Parameters are averaged by breed composition (additive effects) and the
+  Wood scale factor is increased by heterosis (heterozygosity times heterosis of the F1). The heterosis of milk yield
+  of 4 % is a rough assumption (e.g. Holstein x Jersey F1), other parameters are assumed to be additive.
+
+  REFERENCES
+
+  DLG. 2006. Schätzung der Futteraufnahme bei der Milchkuh [Estimating feed intake of dairy cows]. DLG-Information
+  1/2006. DLG-Verlag, Frankfurt/Main, Germany. p. 29.
+
+  Dickerson, G.E. 1973. Inbreeding and heterosis in animals. Proceedings of the Animal Breeding and Genetics Symposium
+  in Honor of Dr. J. L. Lush. American Society of Animal Science, Champaign, IL. pp 54–77.
+
+  LICENSE
+
+  Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
+  Copyright 2014 Lisa Baldinger <lisa.baldinger@boku.ac.at>
+
+  Distributed under the MIT License. See accompanying file LICENSE or copy at http://opensource.org/licenses/MIT
+
+  Any publication for which this file or a derived work is used must include an a reference to:
+
+  Vaillant, J. and Baldinger, L. 2016.
+  Application note: An open-source JavaScript library to simulate dairy cows and young stock,
+  their growth, requirements and diets.
+  Computers and Electronics in Agriculture, Volume 120, January 2016, Pages 7–9
+*/
+
+var dairy = dairy || {};
+
+dairy.breed = (function () {
+
+var HETEROSIS_MILK = 0.04 /* [-] heterosis of milk yield (Wood a) in F1 crosses */
+  , PARAMETERS = ['W_m', 'W_b', 'a', 'b', 'c', 'fat', 'protein']
+  ;
+
+var breeds = {
+  'Holstein': {
+      W_m: 650
+    , W_b: 42
+    , a: 36.6
+    , b: 0.0725
+    , c: -0.021
+    , fat: 4.0
+    , protein: 3.3
+    , type: 'milk'
+  },
+  'Fleckvieh': {
+      W_m: 720
+    , W_b: 45
+    , a: 30.5
+    , b: 0.0725
+    , c: -0.021
+    , fat: 4.1
+    , protein: 3.5
+    , type: 'dual'
+  },
+  'Jersey': {
+      W_m: 450
+    , W_b: 26
+    , a: 24.4
+    , b: 0.0725
+    , c: -0.021
+    , fat: 5.4
+    , protein: 3.9
+    , type: 'milk'
+  },
+  'Brown Swiss': {
+      W_m: 680
+    , W_b: 43
+    , a: 30.5
+    , b: 0.0725
+    , c: -0.021
+    , fat: 4.1
+    , protein: 3.6
+    , type: 'milk'
+  }
+};
+
+/* breed composition { breed: fraction } of a breed name, a composition or parameters returned by get or cross */
+
+var composition = function (breed) {
+
+  var comp = {}
+    , sum = 0
+    ;
+
+  if (typeof breed === 'string') {
+    comp[breed] = 1;
+    return comp;
+  }
+
+  if (!breed || typeof breed !== 'object')
+    throw new Error('breed must be a name or an object');
+
+  if (breed.composition && typeof breed.composition === 'object')
+    breed = breed.composition;
+
+  for (var name in breed) {
+    if (typeof breed[name] === 'number' && breed[name] > 0)
+      sum += breed[name];
+  }
+
+  if (sum <= 0)
+    throw new Error('empty breed composition');
+
+  for (var name in breed) {
+    if (typeof breed[name] === 'number' && breed[name] > 0)
+      comp[name] = breed[name] / sum;
+  }
+
+  return comp;
+
+};
+
+/*
+  Parameters of a breed or of a crossbred animal. Returns an object with the breed parameters (see above) and
+
+  composition     [object]  breed composition { breed: fraction }
+  heterozygosity  [-]       fraction of loci with genes from different breeds
+
+  breed           [string]  name of a breed in the registry or
+                  [object]  breed composition { breed: fraction } or parameters returned by cross
+  heterozygosity  [-]       heterozygosity (default breed.heterozygosity or 0)
+*/
+
+var get = function (breed, heterozygosity) {
+
+  var comp = composition(breed)
+    , params = { composition: comp, heterozygosity: 0 }
+    , dual = 0
+    ;
+
+  if (typeof heterozygosity !== 'number')
+    heterozygosity = (breed && typeof breed.heterozygosity === 'number') ? breed.heterozygosity : 0;
+
+  for (var p = 0, ps = PARAMETERS.length; p < ps; p++)
+    params[PARAMETERS[p]] = 0;
+
+  for (var name in comp) {
+    var parent = breeds[name];
+    if (!parent)
+      throw new Error('unknown breed ' + name);
+    for (var p = 0, ps = PARAMETERS.length; p < ps; p++)
+      params[PARAMETERS[p]] += comp[name] * parent[PARAMETERS[p]];
+    if (parent.type === 'dual')
+      dual += comp[name];
+  }
+
+  params.type = (dual > 0.5) ? 'dual' : 'milk';
+  params.heterozygosity = heterozygosity;
+  params.a *= 1 + HETEROSIS_MILK * heterozygosity;
+
+  return params;
+
+};
+
+/*
+  Parameters of the offspring of sire and dam (see get). The composition is the average of both parents and the
+  heterozygosity is the probability that the genes at a locus stem from different breeds: 1 - sum(sire_i * dam_i)
+  (Dickerson 1973).
+
+  sire  [string|object]   breed name, breed composition or parameters returned by get or cross
+  dam   [string|object]   breed name, breed composition or parameters returned by get or cross
+*/
+
+var cross = function (sire, dam) {
+
+  var s = composition(sire)
+    , d = composition(dam)
+    , comp = {}
+    , same = 0
+    ;
+
+  for (var name in s)
+    comp[name] = s[name] / 2;
+  for (var name in d)
+    comp[name] = (comp[name] || 0) + d[name] / 2;
+
+  for (var name in s)
+    same += s[name] * (d[name] || 0);
+
+  return get(comp, 1 - same);
+
+};
+
+/*
+  Add a breed (or a crossbred genotype, e.g. the result of cross) to the registry. Missing parameters are taken from
+  the composition of params if available.
+
+  name    [string]
+  params  [object]  breed parameters (see above)
+*/
+
+var add = function (name, params) {
+
+  if (typeof name !== 'string' || name.length === 0)
+    throw new Error('breed name must be a non-empty string');
+
+  if (!params || typeof params !== 'object')
+    throw new Error('breed parameters must be an object');
+
+  var base = params.composition ? get(params) : null
+    , breed = {}
+    ;
+
+  for (var p = 0, ps = PARAMETERS.length; p < ps; p++) {
+    var prop = PARAMETERS[p];
+    breed[prop] = (typeof params[prop] === 'number' && !isNaN(params[prop])) ? params[prop] : (base ? base[prop] : NaN);
+    if (isNaN(breed[prop]))
+      throw new Error('missing breed parameter ' + prop);
+  }
+
+  breed.type = (params.type === 'dual') ? 'dual' : 'milk';
+  breeds[name] = breed;
+
+  return breed;
+
+};
+
+return {
+    breeds: breeds
+  , get: get
+  , cross: cross
+  , add: add
+};
+
+}());
@@ -0,0 +1,271 @@
+/*
+  Milk-fed calves from birth to weaning: whole milk or milk replacer feeding plans, starter concentrate intake and the
+  energy-allowable daily gain.
+
+  Energy requirements for maintenance and the energy content of gain follow NRC (2001), chapter 10. Metabolizable
+  energy of liquid feeds is used with an efficiency of 0.86 for maintenance and 0.69 for gain, that of the starter with
+  the NRC equations for dry feeds. Liquid feed and starter contribute to maintenance and gain in proportion to their ME.
+  Gain is limited by energy only (protein supply is assumed to be adequate).
+
+  Starter intake is not predicted by NRC (2001) and no starter intake model is included: Observed or expected intakes
+  must be provided with options.starter, otherwise calves are assumed to receive liquid feed only. Plans that do not
+  cover maintenance with liquid feed (e.g. a strong reduction before weaning) need a starter intake: Without starter
+  the calf does not gain (weight losses are not simulated).
+
+  REFERENCES
+
+  NRC (National Research Council). 2001. Nutrient requirements of dairy cattle. 7th edition. National Academy Press,
+  Washington, D.C. USA.
+
+  LICENSE
+
+  Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
+  Copyright 2014 Lisa Baldinger <lisa.baldinger@boku.ac.at>
+
+  Distributed under the MIT License. See accompanying file LICENSE or copy at http://opensource.org/licenses/MIT
+
+  Any publication for which this file or a derived work is used must include an a reference to:
+
+  Vaillant, J. and Baldinger, L. 2016.
+  Application note: An open-source JavaScript library to simulate dairy cows and young stock,
+  their growth, requirements and diets.
+  Computers and Electronics in Agriculture, Volume 120, January 2016, Pages 7–9
+*/
+
+var dairy = dairy || {};
+
+dairy.calf = (function () {
+
+var pow = Math.pow
+  , MJ_PER_MCAL = 4.184
+  ;
+
+/* constant parameters with default values */
+var cons = {
+    W_m: 650              /* [kg] mature body weight (birth weight from dairy.body.WB) */
+  , weaning: 56           /* [day] age at weaning */
+  , colostrum: 4          /* [day] days fed with colostrum or milk that is not saleable */
+  , milkDM: 0.125         /* [kg kg-1] dry matter content of whole milk */
+  , milkME: 5.37          /* [Mcal kg-1 (DM)] ME of whole milk (NRC 2001, table 10-1) */
+  , replacerDM: 0.95      /* [kg kg-1] dry matter content of milk replacer powder */
+  , replacerME: 4.75      /* [Mcal kg-1 (DM)] ME of milk replacer (20 % fat) */
+  , concentration: 0.125  /* [kg l-1] milk replacer powder per liter */
+  , starterME: 3.1        /* [Mcal kg-1 (DM)] ME of starter concentrate */
+};
+
+/* default feeding plan: 6 kg whole milk per day and 4 kg in the last week before weaning (calves still gain without
+  starter, 3 kg would not cover maintenance of a calf of about 65 kg) */
+var plan = {
+    type: 'milk'
+  , amounts: [[1, 6], [50, 4]]
+};
+
+/*
+  NRC (2001) p. 216
+
+  Maintenance requirements of calves.
+
+  NEm [Mcal d-1]  net energy for maintenance
+  BW  [kg]        body weight
+*/
+
+var NEm = function (BW) {
+
+  return 0.086 * pow(BW, 0.75);
+
+};
+
+/*
+  NRC (2001) p. 216
+
+  Net energy content of gain.
+
+  NEg [Mcal d-1]  net energy for gain
+  BW  [kg]        body weight
+  LWG [kg d-1]    live weight gain
+*/
+
+var NEg = function (BW, LWG) {
+
+  return 0.84 * pow(BW, 0.355) * pow(LWG, 1.2);
+
+};
+
+/* live weight gain [kg d-1] from net energy available for gain (NEg [Mcal d-1], inverse of NEg) */
+
+var LWG = function (BW, NEg) {
+
+  return (NEg > 0) ? pow(NEg / (0.84 * pow(BW, 0.355)), 1 / 1.2) : 0;
+
+};
+
+/*
+  NRC (2001) p. 215
+
+  Efficiency of ME use for maintenance and gain of dry feeds (from NEm and NEg of a feed with ME).
+
+  ME  [Mcal kg-1 (DM)]
+*/
+
+var k_dry = function (ME) {
+
+  return {
+      m: (1.37 * ME - 0.138 * pow(ME, 2) + 0.0105 * pow(ME, 3) - 1.12) / ME
+    , g: (1.42 * ME - 0.174 * pow(ME, 2) + 0.0122 * pow(ME, 3) - 1.65) / ME
+  };
+
+};
+
+/* liquid feed amount [kg whole milk or l replacer d-1] at day age from a plan */
+
+var amount = function (plan, age) {
+
+  if (typeof plan.amounts === 'function')
+    return plan.amounts(age);
+
+  var amount = 0;
+
+  for (var a = 0, as = plan.amounts.length; a < as; a++) {
+    if (age >= plan.amounts[a][0])
+      amount = plan.amounts[a][1];
+  }
+
+  return amount;
+
+};
+
+/*
+  Daily simulation of a calf from birth to weaning. Returns an object
+
+  days        [array]   per day { age [day], BW [kg], ADG [kg d-1], milk [kg], replacer [kg], starter [kg DM],
+                        DM [kg] total dry matter intake, ME [MJ], MEm [MJ] }
+  weaning     [day]     age at weaning
+  BW_weaning  [kg]      body weight at weaning
+  ADG         [kg d-1]  average daily gain from birth to weaning
+  total       [object]  per calf { milk [kg whole milk], saleable [kg whole milk taken from saleable milk],
+                        replacer [kg powder], starter [kg DM] }
+  herd        [object]  if options.calves is provided totals per year { calves, milk, saleable, replacer, starter,
+                        saleableShare [kg kg-1] share of the herd's milk (only if options.herdMilk is provided) }
+
+  options
+    W_b           [kg]      birth weight (default dairy.body.WB(W_m))
+    W_m           [kg]      mature body weight
+    weaning       [day]     age at weaning
+    colostrum     [day]     days fed with colostrum or milk that is not saleable
+    plan          [object]  feeding plan { type: 'milk' or 'replacer', amounts: [[from day, kg or l d-1], ..] or
+                            function (age) returning kg (whole milk) or l (replacer) per day, concentration [kg l-1] }
+    starter       [array]   starter intake [kg DM d-1] per day of age (index 0 is day 1) or
+                  [function] function (age, milk DM) returning the starter intake (default no starter)
+    starterME     [Mcal kg-1 (DM)]
+    calves        [#]       no. of calves reared per year (e.g. dairy.herd.get().calves.replacement)
+    herdMilk      [kg]      milk yield of the herd per year (e.g. dairy.herd.get().milk)
+*/
+
+var get = function (options) {
+
+  options = options || {};
+
+  var p = parameters(options)
+    , feeding = (options.plan && typeof options.plan === 'object') ? options.plan : plan
+    , isReplacer = feeding.type === 'replacer'
+    , concentration = (typeof feeding.concentration === 'number') ? feeding.concentration : p.concentration
+    , k_s = k_dry(p.starterME)
+    , BW = p.W_b
+    , result = {
+          days: []
+        , weaning: p.weaning
+        , BW_weaning: 0
+        , ADG: 0
+        , total: { milk: 0, saleable: 0, replacer: 0, starter: 0 }
+      }
+    ;
+
+  for (var age = 1; age <= p.weaning; age++) {
+
+    var liquid = amount(feeding, age)
+      , milk = isReplacer ? 0 : liquid
+      , replacer = isReplacer ? liquid * concentration : 0
+      , liquidDM = isReplacer ? replacer * p.replacerDM : milk * p.milkDM
+      , starterDM = 0
+      ;
+
+    if (Array.isArray(options.starter))
+      starterDM = options.starter[age - 1] || 0;
+    else if (typeof options.starter === 'function')
+      starterDM = options.starter(age, liquidDM);
+
+        /* ME intake [Mcal d-1] */
+    var ME_liquid = liquidDM * (isReplacer ? p.replacerME : p.milkME)
+      , ME_starter = starterDM * p.starterME
+      , ME = ME_liquid + ME_starter
+        /* efficiencies weighted by ME intake */
+      , k_m = (ME > 0) ? (0.86 * ME_liquid + k_s.m * ME_starter) / ME : 0.86
+      , k_g = (ME > 0) ? (0.69 * ME_liquid + k_s.g * ME_starter) / ME : 0.69
+      , MEm = NEm(BW) / k_m
+      , ADG = LWG(BW, (ME - MEm) * k_g)
+      ;
+
+    result.days.push({
+        age: age
+      , BW: BW
+      , ADG: ADG
+      , milk: milk
+      , replacer: replacer
+      , starter: starterDM
+      , DM: liquidDM + starterDM
+      , ME: ME * MJ_PER_MCAL
+      , MEm: MEm * MJ_PER_MCAL
+    });
+
+    result.total.milk += milk;
+    if (age > p.colostrum)
+      result.total.saleable += milk;
+    result.total.replacer += replacer;
+    result.total.starter += starterDM;
+
+    BW += ADG;
+
+  }
+
+  result.BW_weaning = BW;
+  result.ADG = (BW - p.W_b) / p.weaning;
+
+  if (typeof options.calves === 'number') {
+    result.herd = {
+        calves: options.calves
+      , milk: options.calves * result.total.milk
+      , saleable: options.calves * result.total.saleable
+      , replacer: options.calves * result.total.replacer
+      , starter: options.calves * result.total.starter
+    };
+    if (typeof options.herdMilk === 'number' && options.herdMilk > 0)
+      result.herd.saleableShare = result.herd.saleable / options.herdMilk;
+  }
+
+  return result;
+
+};
+
+/* model parameters from options and defaults */
+
+var parameters = function (options) {
+
+  var p = {};
+
+  for (var prop in cons)
+    p[prop] = (typeof options[prop] === 'number' && !isNaN(options[prop])) ? options[prop] : cons[prop];
+
+  p.W_b = (typeof options.W_b === 'number') ? options.W_b : dairy.body.WB(p.W_m);
+
+  return p;
+
+};
+
+return {
+    get: get
+  , NEm: NEm
+  , NEg: NEg
+  , k_dry: k_dry
+};
+
+}());
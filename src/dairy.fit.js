@@ -0,0 +1,532 @@
+/*
+  Non-linear least squares: Levenberg-Marquardt with parameter standard errors and confidence intervals.
+
+  Plain JavaScript without dependencies that runs synchronously in Node.js, the browser and web workers (unlike the
+  bundled lmfit in lib which is an emscripten build that returns fitted parameters only). The Jacobian is approximated
+  by forward differences. Standard errors are derived from the covariance matrix s^2 (J'WJ)^-1 at the solution and
+  confidence intervals from the Student t distribution with n - k degrees of freedom. The regularized incomplete gamma
+  function is provided for closed form integrals (e.g. of Wood's lactation curve in dairy.milk).
+
+  REFERENCES
+
+  Marquardt, D.W. 1963. An algorithm for least-squares estimation of nonlinear parameters. Journal of the Society for
+  Industrial and Applied Mathematics 11(2):431–441.
+
+  Press, W.H., Teukolsky, S.A., Vetterling, W.T. and Flannery, B.P. 2007. Numerical Recipes: The Art of Scientific
+  Computing. 3rd edition. Cambridge University Press, Cambridge, UK.
+
+  LICENSE
+
+  Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
+  Copyright 2014 Lisa Baldinger <lisa.baldinger@boku.ac.at>
+
+  Distributed under the MIT License. See accompanying file LICENSE or copy at http://opensource.org/licenses/MIT
+
+  Any publication for which this file or a derived work is used must include an a reference to:
+
+  Vaillant, J. and Baldinger, L. 2016.
+  Application note: An open-source JavaScript library to simulate dairy cows and young stock,
+  their growth, requirements and diets.
+  Computers and Electronics in Agriculture, Volume 120, January 2016, Pages 7–9
+*/
+
+var dairy = dairy || {};
+
+dairy.fit = (function () {
+
+var abs = Math.abs
+  , sqrt = Math.sqrt
+  , log = Math.log
+  , exp = Math.exp
+  , EPS = 1e-15
+  , FPMIN = 1e-300
+  ;
+
+/* solve A x = b by Gauss-Jordan elimination with partial pivoting. Returns the inverse of A in inv if provided or
+  null if A is singular */
+
+var solve = function (A, b, inv) {
+
+  var n = b.length
+    , M = []
+    ;
+
+  for (var i = 0; i < n; i++) {
+    M[i] = A[i].slice();
+    M[i].push(b[i]);
+    for (var j = 0; j < n; j++)
+      M[i].push(i === j ? 1 : 0);
+  }
+
+  for (var c = 0; c < n; c++) {
+    var pivot = c;
+    for (var r = c + 1; r < n; r++) {
+      if (abs(M[r][c]) > abs(M[pivot][c]))
+        pivot = r;
+    }
+    if (abs(M[pivot][c]) < FPMIN)
+      return null;
+    var tmp = M[c];
+    M[c] = M[pivot];
+    M[pivot] = tmp;
+    var d = M[c][c];
+    for (var j = c; j < 2 * n + 1; j++)
+      M[c][j] /= d;
+    for (var r = 0; r < n; r++) {
+      if (r === c || M[r][c] === 0)
+        continue;
+      var m = M[r][c];
+      for (var j = c; j < 2 * n + 1; j++)
+        M[r][j] -= m * M[c][j];
+    }
+  }
+
+  if (inv) {
+    for (var i = 0; i < n; i++)
+      inv[i] = M[i].slice(n + 1);
+  }
+
+  var x = [];
+  for (var i = 0; i < n; i++)
+    x[i] = M[i][n];
+
+  return x;
+
+};
+
+/* natural logarithm of the gamma function (Lanczos approximation, Press et al. 2007) */
+
+var lgamma = function (x) {
+
+  var cof = [57.1562356658629235, -59.5979603554754912, 14.1360979747417471, -0.491913816097620199,
+        0.339946499848118887e-4, 0.465236289270485756e-4, -0.983744753048795646e-4, 0.158088703224912494e-3,
+        -0.210264441724104883e-3, 0.217439618115212643e-3, -0.164318106536763890e-3, 0.844182239838527433e-4,
+        -0.261908384015814087e-4, 0.368991826595316234e-5]
+    , y = x
+    , tmp = x + 5.24218750000000000
+    , ser = 0.999999999999997092
+    ;
+
+  tmp = (x + 0.5) * log(tmp) - tmp;
+  for (var j = 0; j < 14; j++)
+    ser += cof[j] / ++y;
+
+  return tmp + log(2.5066282746310005 * ser / x);
+
+};
+
+/* continued fraction of the incomplete beta function (Press et al. 2007) */
+
+var betacf = function (a, b, x) {
+
+  var qab = a + b
+    , qap = a + 1
+    , qam = a - 1
+    , c = 1
+    , d = 1 - qab * x / qap
+    ;
+
+  if (abs(d) < FPMIN)
+    d = FPMIN;
+  d = 1 / d;
+
+  var h = d;
+
+  for (var m = 1; m < 10000; m++) {
+    var m2 = 2 * m
+      , aa = m * (b - m) * x / ((qam + m2) * (a + m2))
+      ;
+    d = 1 + aa * d;
+    if (abs(d) < FPMIN)
+      d = FPMIN;
+    c = 1 + aa / c;
+    if (abs(c) < FPMIN)
+      c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (abs(d) < FPMIN)
+      d = FPMIN;
+    c = 1 + aa / c;
+    if (abs(c) < FPMIN)
+      c = FPMIN;
+    d = 1 / d;
+    var del = d * c;
+    h *= del;
+    if (abs(del - 1) <= EPS)
+      break;
+  }
+
+  return h;
+
+};
+
+/* regularized incomplete beta function I_x(a, b) */
+
+var betai = function (a, b, x) {
+
+  if (x <= 0)
+    return 0;
+  if (x >= 1)
+    return 1;
+
+  var bt = exp(lgamma(a + b) - lgamma(a) - lgamma(b) + a * log(x) + b * log(1 - x));
+
+  if (x < (a + 1) / (a + b + 2))
+    return bt * betacf(a, b, x) / a;
+
+  return 1 - bt * betacf(b, a, 1 - x) / b;
+
+};
+
+/*
+  Regularized lower incomplete gamma function P(a, x) = gamma(a, x) / Gamma(a) from its series (x < a + 1) or the
+  continued fraction of Q(a, x) = 1 - P(a, x) (Press et al. 2007)
+*/
+
+var gammaP = function (a, x) {
+
+  if (x <= 0)
+    return 0;
+
+  var gln = lgamma(a);
+
+  if (x < a + 1) {
+    var ap = a
+      , del = 1 / a
+      , sum = del
+      ;
+    for (var n = 0; n < 10000; n++) {
+      del *= x / ++ap;
+      sum += del;
+      if (abs(del) < abs(sum) * EPS)
+        break;
+    }
+    return sum * exp(-x + a * log(x) - gln);
+  }
+
+  var b = x + 1 - a
+    , c = 1 / FPMIN
+    , d = 1 / b
+    , h = d
+    ;
+
+  for (var i = 1; i < 10000; i++) {
+    var an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (abs(d) < FPMIN)
+      d = FPMIN;
+    c = b + an / c;
+    if (abs(c) < FPMIN)
+      c = FPMIN;
+    d = 1 / d;
+    var del = d * c;
+    h *= del;
+    if (abs(del - 1) <= EPS)
+      break;
+  }
+
+  return 1 - exp(-x + a * log(x) - gln) * h;
+
+};
+
+/*
+  Quantile of the Student t distribution (found by bisection of the cumulative distribution function).
+
+  tQuantile [-]   t value with P(T <= t) = p
+  p         [-]   probability (0 < p < 1)
+  df        [#]   degrees of freedom
+*/
+
+var tQuantile = function (p, df) {
+
+  if (p === 0.5)
+    return 0;
+
+  if (p < 0.5)
+    return -tQuantile(1 - p, df);
+
+  var lo = 0
+    , hi = 1
+    ;
+
+  /* P(T <= t) for t >= 0 */
+  var cdf = function (t) {
+    return 1 - 0.5 * betai(df / 2, 0.5, df / (df + t * t));
+  };
+
+  while (cdf(hi) < p && hi < 1e10)
+    hi *= 2;
+
+  for (var i = 0; i < 200 && hi - lo > 1e-12 * hi; i++) {
+    var mid = (lo + hi) / 2;
+    if (cdf(mid) < p)
+      lo = mid;
+    else
+      hi = mid;
+  }
+
+  return (lo + hi) / 2;
+
+};
+
+/*
+  Levenberg-Marquardt (Marquardt 1963) fit of f(t, par) to observations y.
+
+  Returns an object
+
+  params      [array]   fitted parameters
+  SE          [array]   standard errors of the parameters
+  covariance  [array]   covariance matrix of the parameters
+  CI          [array]   confidence intervals [lower, upper] per parameter
+  level       [-]       confidence level of CI
+  n           [#]       no. of observations
+  df          [#]       degrees of freedom (n - no. of parameters)
+  SSE         [-]       (weighted) sum of squared residuals
+  RMSE        [-]       root mean squared error sqrt(SSE / df)
+  R2          [-]       coefficient of determination 1 - SSE / SST (SST weighted around the weighted mean)
+  iterations  [#]       no. of iterations
+  converged   [bool]    if the relative change of SSE or of the parameters fell below tolerance
+  status      [string]  'converged', 'stalled' (no step reduced SSE even with max. damping) or 'maxIterations'
+
+  f       [function]  model function (t, par) returning the predicted y at t
+  t       [array]     independent variable (array or typed array)
+  y       [array]     observations (array or typed array)
+  par     [array]     start values of the parameters
+  options [object]
+    weights       [array]   weights of the observations (default 1)
+    level         [-]       confidence level (default 0.95)
+    maxIterations [#]       max. no. of iterations (default 200)
+    tolerance     [-]       relative tolerance (default 1e-10)
+*/
+
+var lm = function (f, t, y, par, options) {
+
+  options = options || {};
+
+  var n = t.length
+    , k = par.length
+    , p = Array.prototype.slice.call(par)
+    , w = options.weights
+    , level = (typeof options.level === 'number' && options.level > 0 && options.level < 1) ? options.level : 0.95
+    , maxIterations = (typeof options.maxIterations === 'number') ? options.maxIterations : 200
+    , tolerance = (typeof options.tolerance === 'number') ? options.tolerance : 1e-10
+    , lambda = 1e-3
+    , iterations = 0
+    , converged = false
+    , status = 'maxIterations'
+    ;
+
+  if (n !== y.length)
+    throw new Error('t and y must be of equal length');
+
+  if (n <= k)
+    throw new Error('more observations than parameters required');
+
+  var weight = function (i) {
+    return w ? w[i] : 1;
+  };
+
+  var sse = function (p) {
+    var s = 0;
+    for (var i = 0; i < n; i++) {
+      var r = y[i] - f(t[i], p);
+      s += weight(i) * r * r;
+    }
+    return s;
+  };
+
+  /* J'WJ and J'Wr at p */
+  var normal = function (p) {
+    var A = []
+      , g = []
+      , J = []
+      , f0 = []
+      ;
+    for (var i = 0; i < n; i++)
+      f0[i] = f(t[i], p);
+    for (var j = 0; j < k; j++) {
+      var h = 1e-7 * ((abs(p[j]) > 1e-7) ? abs(p[j]) : 1e-7)
+        , q = p.slice()
+        ;
+      q[j] += h;
+      J[j] = [];
+      for (var i = 0; i < n; i++)
+        J[j][i] = (f(t[i], q) - f0[i]) / h;
+    }
+    for (var a = 0; a < k; a++) {
+      A[a] = [];
+      g[a] = 0;
+      for (var i = 0; i < n; i++)
+        g[a] += weight(i) * J[a][i] * (y[i] - f0[i]);
+      for (var b = 0; b < k; b++) {
+        A[a][b] = 0;
+        for (var i = 0; i < n; i++)
+          A[a][b] += weight(i) * J[a][i] * J[b][i];
+      }
+    }
+    return { A: A, g: g };
+  };
+
+  var SSE = sse(p);
+
+  while (iterations < maxIterations && !converged) {
+
+    var ne = normal(p)
+      , improved = false
+      ;
+
+    iterations++;
+
+    while (!improved && lambda < 1e16) {
+
+      var A = [];
+      for (var a = 0; a < k; a++) {
+        A[a] = ne.A[a].slice();
+        A[a][a] += lambda * ((ne.A[a][a] > 0) ? ne.A[a][a] : 1);
+      }
+
+      var delta = solve(A, ne.g);
+      if (!delta) {
+        lambda *= 10;
+        continue;
+      }
+
+      var q = [];
+      for (var j = 0; j < k; j++)
+        q[j] = p[j] + delta[j];
+
+      var SSE_q = sse(q);
+
+      if (SSE_q < SSE) {
+        var change = 0;
+        for (var j = 0; j < k; j++)
+          change = Math.max(change, abs(delta[j]) / ((abs(p[j]) > FPMIN) ? abs(p[j]) : 1));
+        converged = (SSE - SSE_q) <= tolerance * SSE || change <= tolerance;
+        p = q;
+        SSE = SSE_q;
+        lambda /= 10;
+        improved = true;
+      } else {
+        lambda *= 10;
+      }
+
+    }
+
+    /* no further improvement possible: stop but do not report convergence */
+    if (!improved) {
+      status = 'stalled';
+      break;
+    }
+
+  }
+
+  if (converged)
+    status = 'converged';
+
+  var df = n - k
+    , s2 = SSE / df
+    , cov = []
+    , end = normal(p)
+    , SE = []
+    , CI = []
+    , mean = 0
+    , W = 0
+    , SST = 0
+    , quantile = tQuantile(1 - (1 - level) / 2, df)
+    ;
+
+  if (!solve(end.A, end.g, cov)) {
+    for (var a = 0; a < k; a++) {
+      cov[a] = [];
+      for (var b = 0; b < k; b++)
+        cov[a][b] = NaN;
+    }
+  }
+
+  for (var a = 0; a < k; a++) {
+    for (var b = 0; b < k; b++)
+      cov[a][b] *= s2;
+    SE[a] = sqrt(cov[a][a]);
+    CI[a] = [p[a] - quantile * SE[a], p[a] + quantile * SE[a]];
+  }
+
+  /* weighted mean and total sum of squares */
+  for (var i = 0; i < n; i++) {
+    mean += weight(i) * y[i];
+    W += weight(i);
+  }
+  mean /= W;
+  for (var i = 0; i < n; i++)
+    SST += weight(i) * (y[i] - mean) * (y[i] - mean);
+
+  return {
+      params: p
+    , SE: SE
+    , covariance: cov
+    , CI: CI
+    , level: level
+    , n: n
+    , df: df
+    , SSE: SSE
+    , RMSE: sqrt(s2)
+    , R2: (SST > 0) ? 1 - SSE / SST : NaN
+    , iterations: iterations
+    , converged: converged
+    , status: status
+  };
+
+};
+
+/*
+  Standard error and confidence interval of a function g(par) of fitted parameters (e.g. a prediction) by the delta
+  method: var(g) = grad(g)' cov grad(g).
+
+  Returns an object { value, SE, CI [lower, upper] }
+
+  fit [object]    result of lm
+  g   [function]  function (par) of the parameters
+*/
+
+var delta = function (fit, g) {
+
+  var p = fit.params
+    , k = p.length
+    , value = g(p)
+    , grad = []
+    , v = 0
+    , quantile = tQuantile(1 - (1 - fit.level) / 2, fit.df)
+    ;
+
+  for (var j = 0; j < k; j++) {
+    var h = 1e-7 * ((abs(p[j]) > 1e-7) ? abs(p[j]) : 1e-7)
+      , q = p.slice()
+      ;
+    q[j] += h;
+    grad[j] = (g(q) - value) / h;
+  }
+
+  for (var a = 0; a < k; a++) {
+    for (var b = 0; b < k; b++)
+      v += grad[a] * fit.covariance[a][b] * grad[b];
+  }
+
+  return {
+      value: value
+    , SE: sqrt(v)
+    , CI: [value - quantile * sqrt(v), value + quantile * sqrt(v)]
+  };
+
+};
+
+return {
+    lm: lm
+  , delta: delta
+  , tQuantile: tQuantile
+  , lgamma: lgamma
+  , gammaP: gammaP
+};
+
+}());
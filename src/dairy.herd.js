@@ -1,5 +1,6 @@
 /*
-  Simple, deterministic herd structure model
+  Herd structure models: a simple, deterministic herd structure model (monthly cohorts) and an individual-animal
+  herd simulation on a daily timestep.
 
   LICENSE
 
@@ -14,11 +15,6 @@
   Application note: An open-source JavaScript library to simulate dairy cows and young stock,
   their growth, requirements and diets.
   Computers and Electronics in Agriculture, Volume 120, January 2016, Pages 7–9
-  
-  TODO
-  
-    - add calving pattern option (seasonal)
-    - add parity 4 (>3) to output
 */
 
 var dairy = dairy || {};
@@ -31,13 +27,21 @@ var pow = Math.pow
   , ceil = Math.ceil
   , IT_MIN = 1e2 /* min iterations */
   , IT_MAX = 1e6 /* max. iterations */
+  , DAYS_IN_MONTH = 30.5
   , WEEKS_IN_MONTH = 30.5 / 7
+  , DAYS_IN_YEAR = 365
+  , DAYS_PER_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+  , DAYS_ESTROUS_CYCLE = 21
+  , DAYS_CLOSE_UP = 21 /* last days of the dry period */
+  , DAYS_FRESH = 21 /* first days in milk */
+  , W_C1 = 0.85 /* fraction of mature body weight at first calving (only used with breeds) */
   ;
 
 /* constant parameters with default values */
 var cons = {
     ageFirstCalving: 24
   , femaleCalfRate: 0.47
+  , sexedFemaleRate: 0.90
   , stillBirthRate: 0.07
   , youngStockCullRate: 0.155
   , replacementRate: 0.30
@@ -67,270 +71,2409 @@ var vars = {
   , heifersSold: []
   , lac: []
   , sim: []
+    /* culls per month { total, age, voluntary: {}, involuntary: {} } */
+  , culls: []
+    /* calves born alive per month { replacement, surplusDairy, beefCross } */
+  , calves: []
 };
 
-/* 
-  run simulation until herd structure does not change anymore (or no. cows equals zero)
-  returns an array of with young stock count per age month and cows with
-  
-  lac [#]     lactation no.
-  dry [bool]  if cow is dry
-  WG  [#]     week of gestation
-  WL  [#]     week of lactation
-  age [month]
-
-  initialize parameters (object)
+/*
+  Seedable random number generator (Park & Miller 1988, minimal standard). Returns a function that returns uniformly
+  distributed values in [0, 1) like Math.random. The same seed always produces the same sequence.
 
-  ageFirstCalving     [month]
-  femaleCalfRate      [-]     fraction female calfes of all calves born
-  stillBirthRate      [-]     fraction of dead born calves
-  youngStockCullRate  [-]     fraction of young stock that do not make it to 1st lactation
-  replacementRate     [-]     fraction of cows replaced each year
-  calvingInterval     [month] month inbetween clavings
-  herdSize            [#]     no. of cows in herd
-  gestationPeriod     [month] length gestation period
-  dryPeriode          [month] length dry period
+  seed  [#]   integer seed
 */
 
-var get = function (options) {
+var rng = function (seed) {
 
-  /* overwrite default default values if provided and valid */
-  for (var prop in options) {
-    if (options.hasOwnProperty(prop))
-      cons[prop] = (typeof options[prop] === 'number' && !isNaN(options[prop])) ? options[prop] : cons[prop];
+  var s = floor(Math.abs(seed)) % 2147483647;
+
+  if (s === 0)
+    s = 1;
+
+  return function () {
+    s = (s * 16807) % 2147483647;
+    return (s - 1) / 2147483646;
+  };
+
+};
+
+/*
+  Monthly culling rate of a cow by parity and month since calving. Rates are grouped by voluntary (e.g. low yield) and
+  involuntary (e.g. fertility, mastitis, lameness) reasons:
+
+  rates = {
+      voluntary: { lowYield: rate, ... }
+    , involuntary: { fertility: rate, mastitis: rate, lameness: rate, ... }
   }
 
-  /* reset values */
-  vars.cows = [];
-  vars.young = [];
-  vars.noCows = 0;
-  vars.heifersBought = [];
-  vars.heifersSold = [];
-  vars.sim = [];
+  Each rate [month-1] is either a number (all parities and months) or an array per parity (index 0 is parity 1, the last
+  value applies to all higher parities) of numbers or of arrays per month since calving (index 0 is the first month,
+  the last value applies to all later months). Rates of different reasons are competing risks.
 
-  /* varriable shortcuts */
-  var ci = cons.calvingInterval
-    , hs = cons.herdSize
-    , dp = cons.dryPeriode
-    , gp = cons.gestationPeriod
-    , sb = cons.stillBirthRate
-    , yc = cons.youngStockCullRate
-    , fc = cons.femaleCalfRate
-    , ac = cons.ageFirstCalving
-    , rr = cons.replacementRate
-    , cows = vars.cows
-    , young = vars.young
-    , converged = false
-    , its = 0 /* no. iterations */
+  Returns { total, reasons: [{ group, reason, rate }] } with total [month-1] the probability to be culled for any
+  reason.
+
+  rates [object]
+  p     [#]       parity
+  m     [month]   month since calving (0, 1, ..)
+*/
+
+var cullingRate = function (rates, p, m) {
+
+  var survival = 1
+    , sum = 0
+    , cull = { total: 0, reasons: [] }
+    , groups = ['voluntary', 'involuntary']
     ;
 
-  /* initialize cow array with some meaningfull values to have a starting point
-    cows at age ageFirstCalving + m within calving interval. eqal distribution of status througout calvingInterval */
-  var l = 0;
-  while (l < 4) { /* just set cows up to lactation 4 (could be any) */ 
-    
-    for (var m = 0; m < ci; m++) {
-      cows[m + l * (ci - 1)] = { 
-          no: (hs / ci) / 4 /* devide by 4 because we only initialize for cows till fourth lactation */
-        , lac: l + 1
-        , dry: (m >= ci - dp) ? true : false
-        , WG: (m >= ci - gp) ? (ci - gp) * WEEKS_IN_MONTH : 0
-        , WL: (m >= ci - dp) ? 0 : m * WEEKS_IN_MONTH
-        , age: ac + ci * (l - 1) + m
-      };
-      vars.noCows += (hs / ci) / 4;
+  for (var g = 0; g < 2; g++) {
+
+    var group = rates[groups[g]];
+
+    for (var reason in group) {
+
+      if (!group.hasOwnProperty(reason))
+        continue;
+
+      var rate = group[reason];
+      if (Array.isArray(rate))
+        rate = rate[(p - 1 < rate.length - 1) ? p - 1 : rate.length - 1];
+      if (Array.isArray(rate))
+        rate = rate[(m < rate.length - 1) ? m : rate.length - 1];
+      rate = (typeof rate === 'number' && rate > 0) ? ((rate > 1) ? 1 : rate) : 0;
+
+      survival *= 1 - rate;
+      sum += rate;
+      cull.reasons.push({ group: groups[g], reason: reason, rate: rate });
+
     }
 
-    l++;
   }
 
-  /* Initialize young stock array. Apply death rate equally distributed as compound interest: 
-    K_interest = K_start * (1 + p / 100)^n <=> p / 100 = (K_interest / K_start)^(1/n) - 1
-    K_start = (hs / ci) *  (1 - sb) * fc */
-  young[0] = (hs / ci) *  (1 - sb) * fc * pow(1 - yc, 1 / ac);
-  for (var m = 1; m < ac; m++)
-    young[m] = young[m - 1] * pow(1 - yc, 1 / ac); /* no. young stock per age month */
+  cull.total = 1 - survival;
 
-  /* loop until converged i.e. avg. lactation within herd with no. cows equals herd size does not change anymore.
-    Each iteration step equals one month */
-  while (!converged) {
+  /* share total culling rate between reasons */
+  for (var r = 0, rs = cull.reasons.length; r < rs; r++)
+    cull.reasons[r].rate = (sum > 0) ? cull.total * cull.reasons[r].rate / sum : 0;
 
-    /* remove culled young stock */
-    for (var y = 0, ys = young.length; y < ys; y++)
-      young[y] = young[y] * pow(1 - yc, 1 / ac);
+  return cull;
 
-    /* replacement per month; add newly replaced animals to the beginning of the array
-      all age classes within herd are equally replaced */
+};
 
-    var newFemaleCalves = 0;
-    if (young[young.length - 1] > 0 ) { // heifers available
-      /* add new calves to young cattle */
-      /* from heifers */
-      newFemaleCalves += young[ac - 1] * (1 - sb) * fc;
-      /* from cows */
-    }
+/*
+  Reproduction submodel. Derives days open, calving interval and the share of cows culled as not pregnant from
+  fertility parameters.
 
-    vars.noCows = 0;
-    /* start at age group previously c = 0 */
-    for (var c = 0, cs = cows.length; c < cs; c++) {
+  We assume (like in daily) that..
 
-      var cow = cows[c];
+  * the first heat after the voluntary waiting period occurs on a day uniformly distributed within one estrous cycle
+    (21 days) after vwp and further heats follow every 21 days.
+  * each heat is detected with heatDetectionRate and a detected heat results in a pregnancy with conceptionRate.
+  * a fraction pregnancyLoss of all pregnancies is lost between day 30 and 90 of gestation (uniformly distributed). The
+    cow is bred again at the next heat within one estrous cycle after the loss.
+  * cows are not bred after lastBreeding days post partum and cows not pregnant by then are culled.
 
-      if (cow.no > 0) {
+  The distribution of the day of conception (of pregnancies carried to term) is derived day by day from these
+  probabilities i.e. days open include the days lost with pregnancy losses.
 
-        /* replacement */
-        cow.no = cow.no * (1 - (rr / 12)) // avg monthly replacement
-        cow.age++;
+  fertility             [object]
+    pregnancyRate       [-]       21 day pregnancy rate (heatDetectionRate * conceptionRate)
+    servicesPerPregnancy[#]       no. of services per pregnancy carried to term
+    notPregnant         [-]       fraction of cows culled as not pregnant
+    daysOpen            [day]     average days from calving to conception of cows that conceive
+    calvingInterval     [month]   average calving interval (daysOpen + gestation)
 
-        // update pregnancy, dry ...
-        if (!cow.dry) {
-          cow.WL += WEEKS_IN_MONTH;
-          if (cow.WG > 0) {
-            cow.WG += WEEKS_IN_MONTH;
-          } else {
-            if (cow.WL > (ci - gp) * WEEKS_IN_MONTH)
-            cow.WG = WEEKS_IN_MONTH;
-          }
-          /* check if now dry */
-          if (cow.WL > (ci - dp) * WEEKS_IN_MONTH) {
-            cow.WL = 0;
-            cow.dry = true;
-          }
-        } else { // dry cows
-          cow.WG += WEEKS_IN_MONTH;
-          /* check if cow calved */
-          if (cow.WG > gp * WEEKS_IN_MONTH) {
-            newFemaleCalves += cow.no * (1 - sb) * fc;
-            cow.lac += 1;
-            cow.dry = false;
-            cow.WG = 0;
-            cow.WL = 0;
-          }
-        }
+  params                [object]
+    vwp                 [day]     voluntary waiting period (default 50)
+    heatDetectionRate   [-]       fraction of heats detected (default 0.5)
+    conceptionRate      [-]       conception rate per service (default 0.4)
+    pregnancyLoss       [-]       fraction of pregnancies lost (default 0.1)
+    lastBreeding        [day]     last day post partum a cow is bred (default 250)
+  gp                    [month]   length gestation period
+*/
 
-      }
+var fertility = function (params, gp) {
 
-      vars.noCows += cow.no;
+  params = params || {};
 
-    } // cows loop
+  var num = function (x, x_default) {
+    return (typeof x === 'number' && !isNaN(x) && x >= 0) ? x : x_default;
+  };
 
-    /* no. available heifers form young stock */
-    var noHeifers = young.pop();
-    /* move only the no. of heifers that are needed to keep/reach total herdSize */
-    var noHeifersToHerd = (vars.noCows < hs) ? ((hs - vars.noCows < noHeifers) ? (hs - vars.noCows) : noHeifers) : 0;
-    vars.heifersSold.unshift(noHeifers - noHeifersToHerd);
-    
-    var noHeifersBought = 0;
-    if (noHeifersToHerd < hs - vars.noCows) {
-      noHeifersToHerd = hs - vars.noCows;
-      noHeifersBought = hs - vars.noCows + noHeifersToHerd;
-    }
-    vars.heifersBought.unshift(noHeifersBought);
-
-    cows.unshift({
-        no: noHeifersToHerd
-      , lac: 1
-      , dry: false
-      , WG: 0
-      , WL: 0
-      , age: ac
-    });
+  var vwp = num(params.vwp, 50)
+    , hdr = num(params.heatDetectionRate, 0.5)
+    , cr = num(params.conceptionRate, 0.4)
+    , loss = num(params.pregnancyLoss, 0.1)
+    , lastBreeding = num(params.lastBreeding, 250)
+    , q = hdr * cr /* probability that a heat results in a conception */
+    , heats = []   /* probability of a heat (breeding opportunity) per day post partum */
+    , pregnant = 0 /* probability of a pregnancy carried to term */
+    , days = 0     /* sum of days open weighted by probability */
+    ;
 
-    vars.noCows += noHeifersToHerd;
+  for (var d = 0; d <= lastBreeding; d++)
+    heats[d] = 0;
 
-    /* add new female calves at beginning of array and apply culling rate */
-    young.unshift(newFemaleCalves * pow(1 - yc, 1 / ac));
+  /* first heat after vwp */
+  for (var k = 0; k < DAYS_ESTROUS_CYCLE; k++) {
+    if (vwp + k <= lastBreeding)
+      heats[round(vwp + k)] += 1 / DAYS_ESTROUS_CYCLE;
+  }
 
-    /* calculate cows per lactation */
-    vars.lac = [];
-    for (var c = 0, cs = cows.length; c < cs; c++) {
-      if (!vars.lac[cows[c].lac - 1]) 
-        vars.lac[cows[c].lac - 1] = 0;
-      vars.lac[cows[c].lac - 1] += cows[c].no;
-    }  
+  for (var d = 0; d <= lastBreeding; d++) {
 
-    var lacSum = 0;
-    /* calculate avg. lactation */
-    for (var l = 0, ls = vars.lac.length; l < ls; l++) {
-      lacSum += vars.lac[l] * (l + 1);
-    }
+    if (!(heats[d] > 0))
+      continue;
 
-    /* debug max. lac 20 */
-    for (var l = 0; l < 20; l++) {
-      if (!vars.sim[l])
-        vars.sim[l] = [];
-      var no = vars.lac[l];
-      vars.sim[l].push(no ? no : 0);
-    }
+    pregnant += heats[d] * q * (1 - loss);
+    days += d * heats[d] * q * (1 - loss);
 
-    if ((its > IT_MIN && round(vars.noCows) === hs && Math.round(avg_lac * 1e6) === round(lacSum / vars.noCows * 1e6)) 
-      || its > IT_MAX || round(vars.noCows) === 0 || isNaN(vars.noCows)) {
-      converged = true;
+    /* heat not detected or no conception */
+    if (d + DAYS_ESTROUS_CYCLE <= lastBreeding)
+      heats[d + DAYS_ESTROUS_CYCLE] += heats[d] * (1 - q);
+
+    /* pregnancy lost on gestation day 30 to 90 and the next heat within one estrous cycle */
+    for (var l = 30; l <= 90; l++) {
+      var p_l = ((l === 30 || l === 90) ? 0.5 : 1) / 60;
+      for (var k = 0; k < DAYS_ESTROUS_CYCLE; k++) {
+        var next = d + l + k;
+        if (next <= lastBreeding)
+          heats[next] += heats[d] * q * loss * p_l / DAYS_ESTROUS_CYCLE;
+      }
     }
 
-    var avg_lac = lacSum / vars.noCows;
-    its++;
+  }
 
-  } /* simulation loop */
+  var notPregnant = 1 - pregnant
+    , daysOpen = (pregnant > 0) ? days / pregnant : lastBreeding
+    ;
 
-  var herd = {
-      cowsPerLac: []
-    , cows: []
-    , sim: vars.sim
-    , heifersBought: round(vars.heifersBought[0])
-    , heifersSold: round(vars.heifersSold[0])
-    , young: []
+  return {
+      vwp: vwp
+    , heatDetectionRate: hdr
+    , conceptionRate: cr
+    , pregnancyLoss: loss
+    , lastBreeding: lastBreeding
+    , pregnancyRate: hdr * cr
+    , servicesPerPregnancy: (cr * (1 - loss) > 0) ? 1 / (cr * (1 - loss)) : Infinity
+    , notPregnant: notPregnant
+    , daysOpen: daysOpen
+    , calvingInterval: (daysOpen + gp * DAYS_IN_MONTH) / DAYS_IN_MONTH
   };
 
-  /* add young stock */
-  for (var i = 0, is = vars.young.length; i < is; i++)
-    herd.young.push({ age: i + 1, no: round(vars.young[i]) });
-
-  /* we need only cows of parity 1, 2 or >2. Code below as option? */
-  // var sum = 0;
-  // for (var l = 0, ls = vars.lac.length; l < ls; l++) {
-  //   if (sum === hs)
-  //     break;
-  //   if (sum + ceil(vars.lac[l]) > hs)
-  //     herd.cowsPerLac[l] = hs - sum;
-  //   else  
-  //     herd.cowsPerLac[l] = ceil(vars.lac[l]);
-  //   sum += herd.cowsPerLac[l]; 
-  // }
-
-  herd.cowsPerLac[0] = round(vars.lac[0]);
-  herd.cowsPerLac[1] = round(vars.lac[1]);
-  herd.cowsPerLac[2] = hs - (herd.cowsPerLac[0] + herd.cowsPerLac[1]);
+};
 
-  for (var l = 0, ls = herd.cowsPerLac.length; l < ls; l++) {
-    
-    var DPP_increment = ci * 30.5 / ((herd.cowsPerLac[l] === 1) ? Math.random() * ci : herd.cowsPerLac[l]);
-    var DPP = DPP_increment * 0.5;
-    
-    for (var c = 0, cs = herd.cowsPerLac[l]; c < cs; c++) {
-    
-      herd.cows.push({
-          DPP: round(DPP)
-        , isDry: (DPP > 30.5 * (ci - dp)) ? true : false  
-        , DIM: (DPP > 30.5 * (ci - dp)) ? 0 : round(DPP)  
-        , DG: (DPP - 30.5 * (ci - gp) > 0) ? round(DPP - 30.5 * (ci - gp)) : 0 
-        , AGE: round(ac + l * ci + DPP / 30.5) 
-        , AGE_days: round((ac + l * ci) * 30.5 + DPP) 
-        , P: l + 1
-      });
+/*
+  Breeding plan per parity group. Returns the share of pregnancies from sexed, conventional and beef semen of dams of
+  parity p. Shares of inseminations are weighted with the conception rate of each semen type.
 
-      DPP += DPP_increment;
+  plans = [heifers, parity 1, parity 2, ..] with the last plan applying to all higher parities and each plan
+
+  {
+      sexed           [-]   share of inseminations with sexed semen
+    , conventional    [-]   share of inseminations with conventional dairy semen
+    , beef            [-]   share of inseminations with beef semen
+    , conceptionRate  [-]   { sexed, conventional, beef } conception rate per semen type (default 1 i.e. equal)
+  }
+
+  plans [array]
+  p     [#]     parity of the dam at insemination (0 for heifers)
+*/
+
+var breeding = function (plans, p) {
+
+  var plan = (Array.isArray(plans) && plans.length > 0) ? plans[(p < plans.length - 1) ? p : plans.length - 1] : null
+    , types = ['sexed', 'conventional', 'beef']
+    , shares = { sexed: 0, conventional: 1, beef: 0 }
+    , sum = 0
+    ;
+
+  if (!plan || typeof plan !== 'object')
+    return shares;
+
+  for (var t = 0; t < 3; t++) {
+    var share = (typeof plan[types[t]] === 'number' && plan[types[t]] > 0) ? plan[types[t]] : 0
+      , cr = (plan.conceptionRate && typeof plan.conceptionRate[types[t]] === 'number')
+        ? plan.conceptionRate[types[t]] : 1
+      ;
+    shares[types[t]] = share * cr;
+    sum += share * cr;
+  }
+
+  if (!(sum > 0))
+    return { sexed: 0, conventional: 1, beef: 0 };
+
+  for (var t = 0; t < 3; t++)
+    shares[types[t]] /= sum;
+
+  return shares;
+
+};
+
+/*
+  Calves born alive per calving of a dam of parity p (at insemination) subject to the breeding plan.
+
+  calves          [object]
+    replacement   [#]       female dairy calves
+    surplusDairy  [#]       male dairy calves
+    beefCross     [#]       beef-cross calves (both sexes)
+
+  plans [array]   breeding plans (see breeding)
+  p     [#]       parity of the dam at insemination (0 for heifers)
+*/
+
+var calves = function (plans, p) {
+
+  var shares = breeding(plans, p)
+    , alive = 1 - cons.stillBirthRate
+    , fc = cons.femaleCalfRate
+    , sfr = cons.sexedFemaleRate
+    ;
+
+  return {
+      replacement: alive * (shares.sexed * sfr + shares.conventional * fc)
+    , surplusDairy: alive * (shares.sexed * (1 - sfr) + shares.conventional * (1 - fc))
+    , beefCross: alive * shares.beef
+  };
+
+};
+
+/*
+  Distribution of calvings within a year. Returns an array with the fraction of calvings per day of year (0-364) or null
+  if no valid pattern is provided (i.e. calvings are spread evenly over the calving interval).
+
+  pattern [array]   fraction of calvings per month (Jan-Dec), normalized to a sum of one
+          [object]  block calving with
+                      start   [day]   day of year the calving block starts (0-364)
+                      length  [day]   length of the calving block
+*/
+
+var calvingDistribution = function (pattern) {
+
+  var dist = [];
+
+  for (var d = 0; d < DAYS_IN_YEAR; d++)
+    dist[d] = 0;
+
+  if (Array.isArray(pattern) && pattern.length === 12) {
+
+    var sum = 0;
+    for (var m = 0; m < 12; m++)
+      sum += (pattern[m] > 0) ? pattern[m] : 0;
+
+    if (!(sum > 0))
+      return null;
+
+    for (var m = 0, d = 0; m < 12; m++) {
+      for (var i = 0; i < DAYS_PER_MONTH[m]; i++, d++)
+        dist[d] = ((pattern[m] > 0) ? pattern[m] : 0) / sum / DAYS_PER_MONTH[m];
+    }
+
+  } else if (pattern && typeof pattern.start === 'number' && pattern.length >= 1) {
+
+    var length = (pattern.length > DAYS_IN_YEAR) ? DAYS_IN_YEAR : round(pattern.length);
+    for (var i = 0; i < length; i++)
+      dist[(round(pattern.start) + i) % DAYS_IN_YEAR] += 1 / length;
 
+  } else {
+
+    return null;
+
+  }
+
+  return dist;
+
+};
+
+/*
+  Day of year of calving at quantile q of the calving distribution.
+
+  q     [-]     quantile (0-1)
+  dist  [array] distribution of calvings per day of year
+*/
+
+var calvingDay = function (q, dist) {
+
+  var cum = 0;
+
+  for (var d = 0; d < DAYS_IN_YEAR; d++) {
+    if (dist[d] > 0 && cum + dist[d] >= q)
+      return d + (q - cum) / dist[d];
+    cum += dist[d];
+  }
+
+  return DAYS_IN_YEAR - 1;
+
+};
+
+/*
+  Fraction of calvings within a period of the year. The period may span the end of the year.
+
+  from  [day]   first day of period (day of year, may be negative)
+  to    [day]   last day (exclusive)
+  dist  [array] distribution of calvings per day of year
+*/
+
+var calvingFraction = function (from, to, dist) {
+
+  var frac = 0;
+
+  for (var d = floor(from); d < floor(to); d++)
+    frac += dist[((d % DAYS_IN_YEAR) + DAYS_IN_YEAR) % DAYS_IN_YEAR];
+
+  return frac;
+
+};
+
+/*
+  Transition stage of a cow: dry cows are far-off or close-up (last DAYS_CLOSE_UP days before the expected calving) and
+  lactating cows are fresh (up to DAYS_FRESH days in milk) or lactating.
+
+  stage [enum]    'farOff', 'closeUp', 'fresh' or 'lactating'
+  cow   [object]  cow { isDry, DIM, DG }
+  gp    [month]   gestation period
+*/
+
+var stage = function (cow, gp) {
+
+  if (cow.isDry)
+    return (cow.DG >= gp * DAYS_IN_MONTH - DAYS_CLOSE_UP) ? 'closeUp' : 'farOff';
+
+  return (cow.DIM <= DAYS_FRESH) ? 'fresh' : 'lactating';
+
+};
+
+/*
+  One month of a single cow cohort: The cohort is culled, ages, gets pregnant, dries off and calves. The cohort is
+  updated in place and culls are added to culls. Returns the no. of cows that calved (the parity of the calving is
+  cow.lac - 1 thereafter).
+
+  cow     [object]  cow cohort (see vars.cows)
+  params  [object]  model parameters (see parameters)
+  culls   [object]  culled cows { total, age, voluntary: {}, involuntary: {} }
+*/
+
+var step = function (cow, params, culls) {
+
+  var ci = params.ci
+    , dp = params.dp
+    , gp = params.gp
+    , rr = params.rr
+    , rates = params.rates
+    , fert = params.fert
+    , calved = 0
+    ;
+
+  /* replacement */
+  var culled = cow.no * (rr / 12); // avg monthly replacement
+  if (rates) {
+    var cull = cullingRate(rates, cow.lac, cow.m);
+    culled = cow.no * cull.total;
+    for (var r = 0, rs = cull.reasons.length; r < rs; r++) {
+      var reason = cull.reasons[r];
+      culls[reason.group][reason.reason] = (culls[reason.group][reason.reason] || 0) + cow.no * reason.rate;
     }
+  }
+  /* cows not pregnant at last breeding day */
+  if (fert && cow.m === floor(fert.lastBreeding / DAYS_IN_MONTH)) {
+    var notPregnant = (cow.no - culled) * fert.notPregnant;
+    culls.involuntary.notPregnant = (culls.involuntary.notPregnant || 0) + notPregnant;
+    culled += notPregnant;
+  }
+
+  culls.total += culled;
+  culls.age += culled * cow.age;
+
+  cow.no = cow.no - culled;
+  cow.age++;
+  cow.m++;
 
+  // update pregnancy, dry ...
+  if (!cow.dry) {
+    cow.WL += WEEKS_IN_MONTH;
+    if (cow.WG > 0) {
+      cow.WG += WEEKS_IN_MONTH;
+    } else {
+      if (cow.WL > (ci - gp) * WEEKS_IN_MONTH)
+      cow.WG = WEEKS_IN_MONTH;
+    }
+    /* check if now dry */
+    if (cow.WL > (ci - dp) * WEEKS_IN_MONTH) {
+      cow.WL = 0;
+      cow.dry = true;
+    }
+  } else { // dry cows
+    cow.WG += WEEKS_IN_MONTH;
+    /* check if cow calved */
+    if (cow.WG > gp * WEEKS_IN_MONTH) {
+      calved = cow.no;
+      cow.lac += 1;
+      cow.m = 0;
+      cow.dry = false;
+      cow.WG = 0;
+      cow.WL = 0;
+    }
   }
 
-  return herd;
+  return calved;
+
+};
+
+/*
+  One month (time step) of the herd structure model. Cow cohorts and young stock are updated in place: Young stock and
+  cows are culled, cows get pregnant, dry and calve, heifers calving enter the herd as needed to keep or reach herd size
+  hs (surplus heifers are sold, missing heifers bought unless params.buy is false) and new female calves are added to
+  the young stock. If the herd exceeds hs (e.g. a decreasing herd size) the excess cows are culled from all cohorts
+  (reason voluntary.herdReduction).
+
+  Returns the month's flows
+
+  noCows        [#]       no. of cows at the end of the month
+  calvings      [#]       no. of calvings of cows and heifers
+  culls         [object]  culled cows { total, age, voluntary: {}, involuntary: {} }
+  calves        [object]  calves born alive { replacement, surplusDairy, beefCross }
+  heifersIn     [#]       no. of own heifers that entered the herd
+  heifersSold   [#]       no. of own heifers sold
+  heifersBought [#]       no. of heifers bought
+
+  cows    [array]   cow cohorts (see vars.cows)
+  young   [array]   no. of young stock per age month (length ageFirstCalving)
+  hs      [#]       herd size
+  params  [object]  model parameters (see parameters)
+*/
+
+var month = function (cows, young, hs, params) {
+
+  var yc = params.yc
+    , ac = params.ac
+    , plans = params.plans
+    ;
+
+  /* remove culled young stock */
+  for (var y = 0, ys = young.length; y < ys; y++)
+    young[y] = young[y] * pow(1 - yc, 1 / ac);
+
+  /* replacement per month; add newly replaced animals to the beginning of the array
+    all age classes within herd are equally replaced */
+
+  var newFemaleCalves = 0
+    , calvings = 0
+    , newCalves = { replacement: 0, surplusDairy: 0, beefCross: 0 }
+    , addCalves = function (no, p) {
+        var born = calves(plans, p);
+        for (var prop in newCalves)
+          newCalves[prop] += no * born[prop];
+        return no * born.replacement;
+      }
+    ;
+
+  if (young[young.length - 1] > 0 ) { // heifers available
+    /* add new calves to young cattle */
+    /* from heifers */
+    newFemaleCalves += addCalves(young[ac - 1], 0);
+    calvings += young[ac - 1];
+    /* from cows */
+  }
+
+  var culls = { total: 0, age: 0, voluntary: {}, involuntary: {} };
+
+  var noCows = 0;
+  /* start at age group previously c = 0 */
+  for (var c = 0, cs = cows.length; c < cs; c++) {
+
+    var cow = cows[c];
+
+    if (cow.no > 0) {
+      var calved = step(cow, params, culls);
+      if (calved > 0) {
+        newFemaleCalves += addCalves(calved, cow.lac - 1);
+        calvings += calved;
+      }
+    }
+
+    noCows += cow.no;
+
+  } // cows loop
+
+  /* reduce herd size */
+  if (noCows > hs) {
+    var reduction = noCows - hs;
+    for (var c = 0, cs = cows.length; c < cs; c++) {
+      var culled = cows[c].no * reduction / noCows;
+      culls.total += culled;
+      culls.age += culled * cows[c].age;
+      cows[c].no -= culled;
+    }
+    culls.voluntary.herdReduction = reduction;
+    noCows = hs;
+  }
+
+  /* no. available heifers form young stock */
+  var noHeifers = young.pop();
+  /* move only the no. of heifers that are needed to keep/reach total herdSize */
+  var noHeifersToHerd = (noCows < hs) ? ((hs - noCows < noHeifers) ? (hs - noCows) : noHeifers) : 0
+    , noHeifersIn = noHeifersToHerd
+    ;
+  
+  /* heifers bought are the cows missing to reach hs after the own heifers entered */
+  var noHeifersBought = 0;
+  if (params.buy !== false && noHeifersToHerd < hs - noCows) {
+    noHeifersBought = hs - noCows - noHeifersToHerd;
+    noHeifersToHerd = hs - noCows;
+  }
+
+  cows.unshift({
+      no: noHeifersToHerd
+    , lac: 1
+    , dry: false
+    , WG: 0
+    , WL: 0
+    , age: ac
+    , m: 0
+  });
+
+  noCows += noHeifersToHerd;
+
+  /* add new female calves at beginning of array and apply culling rate */
+  young.unshift(newFemaleCalves * pow(1 - yc, 1 / ac));
+
+  return {
+      noCows: noCows
+    , calvings: calvings
+    , culls: culls
+    , calves: newCalves
+    , heifersIn: noHeifersIn
+    , heifersSold: noHeifers - noHeifersIn
+    , heifersBought: noHeifersBought
+  };
+
+};
+
+/*
+  Sets model parameters (cons) from options if provided and valid and returns the parameters used in each month.
+
+  ci      [month]   calving interval (derived from the reproduction submodel if fertility is provided)
+  dp      [month]   dry period
+  gp      [month]   gestation period
+  yc      [-]       young stock cull rate
+  ac      [month]   age first calving
+  rr      [-]       replacement rate
+  rates   [object]  culling rates (see cullingRate) or null
+  fert    [object]  reproduction submodel results (see fertility) or null
+  plans   [array]   breeding plans (see breeding) or null
+  buy     [bool]    if missing heifers are bought
+  mix     [array]   breed mix (see breedMix) or null
+*/
+
+var parameters = function (options) {
+
+  /* overwrite default default values if provided and valid */
+  for (var prop in options) {
+    if (options.hasOwnProperty(prop) && cons.hasOwnProperty(prop))
+      cons[prop] = (typeof options[prop] === 'number' && !isNaN(options[prop])) ? options[prop] : cons[prop];
+  }
+
+  var fert = (options.fertility && typeof options.fertility === 'object')
+    ? fertility(options.fertility, cons.gestationPeriod) : null;
+
+  return {
+      ci: fert ? fert.calvingInterval : cons.calvingInterval
+    , dp: cons.dryPeriode
+    , gp: cons.gestationPeriod
+    , yc: cons.youngStockCullRate
+    , ac: cons.ageFirstCalving
+    , rr: cons.replacementRate
+    , rates: (options.cullingRates && typeof options.cullingRates === 'object') ? options.cullingRates : null
+    , fert: fert
+    , plans: Array.isArray(options.breeding) ? options.breeding : null
+    , buy: options.replacement !== 'raise'
+    , mix: breedMix(options.breeds)
+  };
+
+};
+
+/* message if no steady state herd with herdSize cows exists */
+
+var infeasible = function (params) {
+
+  return 'no steady state herd of herdSize cows: ' + ((params.buy === false) ? 'own heifers do not suffice to ' +
+    'replace culled cows (replacement \'raise\')' : 'the herd collapses');
+
+};
+
+/*
+  Culls and calves per year from monthly flows. Returns an object
+
+  culls           [object]  culled cows per year { total, voluntary: {}, involuntary: {} }
+  ageAtCulling    [month]   average age at culling
+  productiveLife  [month]   average age at culling minus ageFirstCalving
+  calves          [object]  calves born alive per year { replacement, surplusDairy, beefCross, surplusFemale }
+
+  surplusFemale are the female dairy calves (part of replacement) not needed to replace culled cows. They are raised
+  like all female calves and sold as heifers at first calving (heifersSold) but may as well be sold as calves.
+
+  culls   [array]   monthly culls { total, age, voluntary: {}, involuntary: {} } of the last 12 month
+  calves  [array]   monthly calves { replacement, surplusDairy, beefCross } of the last 12 month
+  sold    [array]   monthly no. of heifers sold of the last 12 month
+  params  [object]  model parameters (see parameters)
+*/
+
+var summary = function (culls, calves, sold, params) {
+
+  var herd = {
+      culls: { total: 0, voluntary: {}, involuntary: {} }
+    , ageAtCulling: 0
+    , productiveLife: 0
+    , calves: { replacement: 0, surplusDairy: 0, beefCross: 0 }
+  };
+
+  for (var i = 0, is = calves.length; i < is; i++) {
+    for (var prop in herd.calves)
+      herd.calves[prop] += calves[i][prop];
+  }
+  for (var prop in herd.calves)
+    herd.calves[prop] = round(herd.calves[prop] * 10) / 10;
+
+  /* heifers sold at calving per female calf born (see month) */
+  var surplus = 0;
+  for (var i = 0, is = sold.length; i < is; i++)
+    surplus += sold[i];
+  herd.calves.surplusFemale = round(surplus / pow(1 - params.yc, (params.ac + 1) / params.ac) * 10) / 10;
+
+  var cullsAge = 0;
+
+  for (var i = 0, is = culls.length; i < is; i++) {
+    herd.culls.total += culls[i].total;
+    cullsAge += culls[i].age;
+    for (var group in herd.culls) {
+      if (group === 'total')
+        continue;
+      for (var reason in culls[i][group])
+        herd.culls[group][reason] = (herd.culls[group][reason] || 0) + culls[i][group][reason];
+    }
+  }
+
+  if (herd.culls.total > 0) {
+    herd.ageAtCulling = round(cullsAge / herd.culls.total * 10) / 10;
+    herd.productiveLife = round((cullsAge / herd.culls.total - params.ac) * 10) / 10;
+  }
+
+  herd.culls.total = round(herd.culls.total * 10) / 10;
+  for (var reason in herd.culls.voluntary)
+    herd.culls.voluntary[reason] = round(herd.culls.voluntary[reason] * 10) / 10;
+  for (var reason in herd.culls.involuntary)
+    herd.culls.involuntary[reason] = round(herd.culls.involuntary[reason] * 10) / 10;
+
+  return herd;
+
+};
+
+/*
+  Herd structure from the cow cohorts and young stock per age month. Returns an object
+
+  cowsPerLac    [array]   no. of cows of parity 1, 2 and > 2
+  parities      [array]   no. of cows per parity (index 0 is parity 1)
+  stages        [object]  no. of cows per transition stage { farOff, closeUp, fresh, lactating } (see stage)
+  cows          [array]   cows { DPP, isDry, DIM, DG, AGE, AGE_days, P, stage }
+  young         [array]   young stock { age, no }
+  avgAge        [month]   average age of cows
+  ages          [array]   age pyramid { age [year], cows, young } per year of age (age 0 is 0 to < 12 month)
+  milk          [kg]      milk yield of the herd per year (only if options.milk is provided)
+  milkPerCow    [kg]      milk yield per cow and year (only if options.milk is provided)
+  breeds        [object]  structure per breed (only if options.breeds is provided, see byBreed)
+
+  cohorts [array]   cow cohorts (see vars.cows)
+  young   [array]   no. of young stock per age month
+  hs      [#]       herd size
+  params  [object]  model parameters (see parameters)
+  options [object]  options of get (calvingPattern, day, seed, random, milk)
+*/
+
+var structure = function (cohorts, young, hs, params, options) {
+
+  var ci = params.ci
+    , dp = params.dp
+    , gp = params.gp
+    , ac = params.ac
+    , lac = []
+    , noCows = 0
+    , cowsAge = 0
+    , herd = {
+          cowsPerLac: []
+        , parities: []
+        , stages: { farOff: 0, closeUp: 0, fresh: 0, lactating: 0 }
+        , cows: []
+        , young: []
+        , avgAge: 0
+        , ages: []
+      }
+    ;
+
+  for (var c = 0, cs = cohorts.length; c < cs; c++) {
+    var cohort = cohorts[c]
+      , year = floor(cohort.age / 12)
+      ;
+    lac[cohort.lac - 1] = (lac[cohort.lac - 1] || 0) + cohort.no;
+    noCows += cohort.no;
+    cowsAge += cohort.no * cohort.age;
+    for (var a = herd.ages.length; a <= year; a++)
+      herd.ages.push({ age: a, cows: 0, young: 0 });
+    herd.ages[year].cows += cohort.no;
+  }
+
+  for (var i = 0, is = young.length; i < is; i++) {
+    var year = floor((i + 1) / 12);
+    for (var a = herd.ages.length; a <= year; a++)
+      herd.ages.push({ age: a, cows: 0, young: 0 });
+    herd.ages[year].young += young[i];
+  }
+
+  for (var a = 0, as = herd.ages.length; a < as; a++) {
+    herd.ages[a].cows = round(herd.ages[a].cows * 10) / 10;
+    herd.ages[a].young = round(herd.ages[a].young * 10) / 10;
+  }
+  /* remove empty age classes at the end */
+  var last = herd.ages[herd.ages.length - 1];
+  while (last && last.cows === 0 && last.young === 0) {
+    herd.ages.pop();
+    last = herd.ages[herd.ages.length - 1];
+  }
+
+  if (noCows > 0)
+    herd.avgAge = round(cowsAge / noCows * 10) / 10;
+
+  if (options.milk && typeof options.milk === 'object') {
+    herd.milk = round(12 * milkPerMonth(cohorts, options.milk));
+    herd.milkPerCow = (noCows > 0) ? round(herd.milk / noCows) : 0;
+  }
+
+  var pattern = calvingDistribution(options.calvingPattern)
+    , day = (typeof options.day === 'number' && !isNaN(options.day)) ? options.day : 0
+    , random = (typeof options.random === 'function') ? options.random
+      : ((typeof options.seed === 'number') ? rng(options.seed) : Math.random)
+    ;
+
+  /* add young stock. With a calving pattern scale the cohorts by the share of calvings within their month of birth
+    relative to an even distribution */
+  for (var i = 0, is = young.length; i < is; i++) {
+    var no = young[i];
+    if (pattern)
+      no *= calvingFraction(day - (i + 1) * DAYS_IN_MONTH, day - i * DAYS_IN_MONTH, pattern) * 12;
+    herd.young.push({ age: i + 1, no: round(no) });
+  }
+
+  herd.cowsPerLac[0] = round(lac[0]);
+  herd.cowsPerLac[1] = round(lac[1]);
+  herd.cowsPerLac[2] = hs - (herd.cowsPerLac[0] + herd.cowsPerLac[1]);
+
+  /* parities > 2: distribute cowsPerLac[2] by largest remainder */
+  herd.parities = [herd.cowsPerLac[0], herd.cowsPerLac[1]];
+  var rest = 0
+    , remainders = []
+    ;
+  for (var l = 2, ls = lac.length; l < ls; l++)
+    rest += lac[l] || 0;
+  var left = herd.cowsPerLac[2];
+  for (var l = 2, ls = lac.length; l < ls; l++) {
+    var share = (rest > 0) ? (lac[l] || 0) / rest * herd.cowsPerLac[2] : 0;
+    herd.parities[l] = floor(share);
+    left -= herd.parities[l];
+    remainders.push({ l: l, r: share - floor(share) });
+  }
+  remainders.sort(function (a, b) { return b.r - a.r; });
+  for (var r = 0; r < left && r < remainders.length; r++)
+    herd.parities[remainders[r].l]++;
+  /* remove empty parities at the end */
+  while (herd.parities.length > 3 && herd.parities[herd.parities.length - 1] === 0)
+    herd.parities.pop();
+
+  for (var l = 0, ls = herd.parities.length; l < ls; l++) {
+    
+    var DPP_increment = ci * 30.5 / ((herd.parities[l] === 1) ? random() * ci : herd.parities[l]);
+    var DPP = DPP_increment * 0.5;
+    
+    for (var c = 0, cs = herd.parities[l]; c < cs; c++) {
+
+      /* days since calving on the same quantile of the calving distribution */
+      if (pattern)
+        DPP = (day - calvingDay((c + 0.5) / cs, pattern) + DAYS_IN_YEAR) % DAYS_IN_YEAR;
+    
+      var cow = {
+          DPP: round(DPP)
+        , isDry: (DPP > 30.5 * (ci - dp)) ? true : false  
+        , DIM: (DPP > 30.5 * (ci - dp)) ? 0 : round(DPP)  
+        , DG: (DPP - 30.5 * (ci - gp) > 0) ? round(DPP - 30.5 * (ci - gp)) : 0 
+        , AGE: round(ac + l * ci + DPP / 30.5) 
+        , AGE_days: round((ac + l * ci) * 30.5 + DPP) 
+        , P: l + 1
+      };
+      cow.stage = stage(cow, gp);
+      herd.stages[cow.stage]++;
+      herd.cows.push(cow);
+
+      DPP += DPP_increment;
+
+    }
+
+  }
+
+  if (params.mix)
+    byBreed(herd, cohorts, params);
+
+  return herd;
+
+};
+
+/*
+  Breed mix of the herd. Returns an array { name, share, params } with shares summing up to one (params see
+  dairy.breed.get) or null if no breeds are provided.
+
+  breeds  [object]  share per breed { breed: share } where breed is the name of a breed in dairy.breed
+*/
+
+var breedMix = function (breeds) {
+
+  if (!breeds || typeof breeds !== 'object')
+    return null;
+
+  var mix = []
+    , sum = 0
+    ;
+
+  for (var name in breeds) {
+    if (typeof breeds[name] === 'number' && breeds[name] > 0) {
+      mix.push({ name: name, share: breeds[name], params: dairy.breed.get(name) });
+      sum += breeds[name];
+    }
+  }
+
+  if (mix.length === 0)
+    return null;
+
+  for (var b = 0, bs = mix.length; b < bs; b++)
+    mix[b].share /= sum;
+
+  return mix;
+
+};
+
+/* draw a breed name from the breed mix */
+
+var drawBreed = function (mix, random) {
+
+  var draw = random();
+
+  for (var b = 0, bs = mix.length; b < bs; b++) {
+    if (draw < mix[b].share || b === bs - 1)
+      return mix[b].name;
+    draw -= mix[b].share;
+  }
+
+};
+
+/*
+  Split the herd structure by breed. Herd dynamics do not differ between breeds: Cows are assigned to breeds in
+  proportion to the breed shares (spread evenly over parities and stages) and young stock per age month is the share of
+  each breed (rounded to one decimal). Milk yield per breed is calculated with the breed's Wood parameters (see
+  milkPerMonth) and body weight at calving of parity 1 and 2 from the breed's mature weight (dairy.body.W with W_C1).
+
+  Adds a breed to each cow and the object breeds to herd with per breed
+
+  share       [-]       share of the breed in the herd
+  cows        [#]       no. of cows
+  cowsPerLac  [array]   no. of cows of parity 1, 2 and > 2
+  parities    [array]   no. of cows per parity
+  stages      [object]  no. of cows per transition stage
+  young       [array]   young stock { age, no }
+  milk        [kg]      milk yield per year
+  milkPerCow  [kg]      milk yield per cow and year
+  fat         [%]       average milk fat
+  protein     [%]       average milk protein
+
+  If options.milk is not provided the herd's milk yield (milk, milkPerCow) is the sum of the breeds and fat and
+  protein of the herd's milk are reported.
+
+  herd    [object]  herd structure (see structure)
+  cohorts [array]   cow cohorts (see vars.cows)
+  params  [object]  model parameters (see parameters)
+*/
+
+var byBreed = function (herd, cohorts, params) {
+
+  var mix = params.mix
+    , credits = []
+    , breeds = {}
+    , milk = 0
+    , fat = 0
+    , protein = 0
+    ;
+
+  for (var b = 0, bs = mix.length; b < bs; b++) {
+    var breed = mix[b].params
+      , W_b = breed.W_b
+      , BW_c = [
+            W_C1 * breed.W_m
+          , dairy.body.W((params.ac + params.ci) * DAYS_IN_MONTH, params.ac, W_b, W_C1, breed.W_m)
+        ]
+      , breedMilk = round(mix[b].share * 12 * milkPerMonth(cohorts, {
+            a: breed.a
+          , b: breed.b
+          , c: breed.c
+          , BW_c: BW_c
+          , MBW: breed.W_m
+        }))
+      ;
+    credits[b] = 0;
+    breeds[mix[b].name] = {
+        share: mix[b].share
+      , cows: 0
+      , cowsPerLac: [0, 0, 0]
+      , parities: []
+      , stages: { farOff: 0, closeUp: 0, fresh: 0, lactating: 0 }
+      , young: []
+      , milk: breedMilk
+      , milkPerCow: 0
+      , fat: breed.fat
+      , protein: breed.protein
+    };
+    milk += breedMilk;
+    fat += breedMilk * breed.fat;
+    protein += breedMilk * breed.protein;
+    for (var y = 0, ys = herd.young.length; y < ys; y++)
+      breeds[mix[b].name].young.push({ age: herd.young[y].age, no: round(herd.young[y].no * mix[b].share * 10) / 10 });
+  }
+
+  /* assign cows to breeds: the breed with the largest credit (share minus cows assigned so far) is next */
+  for (var c = 0, cs = herd.cows.length; c < cs; c++) {
+    var cow = herd.cows[c]
+      , next = 0
+      ;
+    for (var b = 0, bs = mix.length; b < bs; b++) {
+      credits[b] += mix[b].share;
+      if (credits[b] > credits[next])
+        next = b;
+    }
+    credits[next] -= 1;
+    cow.breed = mix[next].name;
+    var split = breeds[cow.breed];
+    split.cows++;
+    split.cowsPerLac[(cow.P > 2) ? 2 : cow.P - 1]++;
+    for (var l = split.parities.length; l < cow.P; l++)
+      split.parities.push(0);
+    split.parities[cow.P - 1]++;
+    split.stages[cow.stage]++;
+  }
+
+  for (var name in breeds)
+    breeds[name].milkPerCow = (breeds[name].cows > 0) ? round(breeds[name].milk / breeds[name].cows) : 0;
+
+  herd.breeds = breeds;
+
+  if (herd.milk === undefined) {
+    herd.milk = milk;
+    herd.milkPerCow = (herd.cows.length > 0) ? round(milk / herd.cows.length) : 0;
+    herd.fat = (milk > 0) ? round(fat / milk * 100) / 100 : 0;
+    herd.protein = (milk > 0) ? round(protein / milk * 100) / 100 : 0;
+  }
+
+};
+
+/*
+  Milk yield of cow cohorts within one month. Each lactating cohort yields the daily milk (see dairy.milk.milk) at the
+  middle of the month for DAYS_IN_MONTH days.
+
+  milk  [object]  Wood lactation curve parameters { a, b, c, BW_c, MBW }. BW_c (body weight at calving) is a number
+                  or an array per parity (the last value applies to higher parities). If BW_c or MBW (mature body
+                  weight) are not provided the size at calving of parity 1 and 2 cows is not accounted for.
+*/
+
+var milkPerMonth = function (cohorts, milk) {
+
+  var yield_ = 0;
+
+  for (var c = 0, cs = cohorts.length; c < cs; c++) {
+    var cohort = cohorts[c];
+    if (cohort.dry || cohort.no <= 0)
+      continue;
+    var BW_c = Array.isArray(milk.BW_c)
+        ? milk.BW_c[(cohort.lac > milk.BW_c.length) ? milk.BW_c.length - 1 : cohort.lac - 1] : milk.BW_c
+      , MBW = milk.MBW
+      ;
+    if (typeof BW_c !== 'number' || typeof MBW !== 'number')
+      BW_c = MBW = 1;
+    yield_ += cohort.no * DAYS_IN_MONTH * dairy.milk.milk(milk.a, milk.b, milk.c, cohort.WL + WEEKS_IN_MONTH / 2,
+      cohort.lac, BW_c, MBW);
+  }
+
+  return yield_;
+
+};
+
+/* 
+  run simulation until herd structure does not change anymore (or no. cows equals zero)
+  returns an array of with young stock count per age month and cows with
+  
+  lac [#]     lactation no.
+  dry [bool]  if cow is dry
+  WG  [#]     week of gestation
+  WL  [#]     week of lactation
+  age [month]
+
+  initialize parameters (object)
+
+  ageFirstCalving     [month]
+  femaleCalfRate      [-]     fraction female calfes of all calves born
+  sexedFemaleRate     [-]     fraction female calfes of all calves born from sexed semen
+  stillBirthRate      [-]     fraction of dead born calves
+  youngStockCullRate  [-]     fraction of young stock that do not make it to 1st lactation
+  replacementRate     [-]     fraction of cows replaced each year
+  calvingInterval     [month] month inbetween clavings
+  herdSize            [#]     no. of cows in herd
+  gestationPeriod     [month] length gestation period
+  dryPeriode          [month] length dry period
+
+  additional options
+
+  calvingPattern      [array]   fraction of calvings per month (Jan-Dec) or
+                      [object]  block calving { start [day of year], length [day] }
+  day                 [day]     day of year (0-364) the herd is evaluated at (default 0), only used with calvingPattern
+  cullingRates        [object]  culling rates per reason, parity and month since calving (see cullingRate). Replaces
+                                replacementRate if provided.
+  breeding            [array]   breeding plan per parity group (see breeding). Calves are reported per year as female
+                                replacement, surplus (male) dairy and beef-cross calves and the female calves not
+                                needed for replacement (surplusFemale, see summary).
+  fertility           [object]  fertility parameters (see fertility). If provided calvingInterval is derived from the
+                                reproduction submodel and cows not pregnant at lastBreeding are culled (reason
+                                involuntary.notPregnant).
+  seed                [#]       seed of the random number generator (only used if a parity group has a single cow)
+  random              [function] random number generator returning values in [0, 1), overrides seed
+  milk                [object]  Wood lactation curve parameters { a, b, c, BW_c, MBW } (see milkPerMonth). If
+                                provided the herd's milk yield per year (milk), per cow (milkPerCow) and the lifetime
+                                milk yield per cow (lifetimeMilk: milk yield of the herd per cow culled) are reported.
+  breeds              [object]  share per breed { breed: share } with breed names registered in dairy.breed (e.g.
+                                { 'Holstein': 0.6, 'Fleckvieh': 0.4 }, crossbreds may be added with dairy.breed.add).
+                                The herd structure is split by breed (see byBreed) and each cow is tagged with its
+                                breed. Milk yield is calculated from the breed parameters if milk is not provided.
+  replacement         [enum]    'buy' missing heifers (default) or 'raise' i.e. only own heifers enter the herd. Throws
+                                an error if the own heifers do not suffice to keep herdSize (no steady state exists).
+
+  heifersBought and heifersSold are the no. of heifers bought and sold per month. Heifers are only bought if the own
+  heifers calving do not suffice to keep the herd size (heifersBought is the remaining shortfall).
+
+  Culls are reported per year and reason together with the average age of the cows, the average age at culling and the
+  productive lifespan (average age at culling minus ageFirstCalving).
+
+  The full parity distribution is reported in parities (cowsPerLac[2] holds all cows of parity > 2) and the age
+  structure of cows and young stock per year of age in ages. The cows list contains cows of all parities.
+
+  Cows are tagged with their transition stage (far-off and close-up dry cows, fresh and lactating cows, see stage) and
+  the no. of cows per stage is reported in stages. Stage specific requirements are available in
+  dairy.requirements.transition.
+
+  If a calving pattern is provided calvings are assumed to repeat each year. The DPP of the cows and the young stock
+  cohorts follow the pattern instead of being spread evenly over the calving interval.
+*/
+
+var get = function (options) {
+
+  options = options || {};
+
+  var params = parameters(options);
+
+  /* reset values */
+  vars.cows = [];
+  vars.young = [];
+  vars.noCows = 0;
+  vars.heifersBought = [];
+  vars.heifersSold = [];
+  vars.sim = [];
+  vars.culls = [];
+  vars.calves = [];
+
+  /* varriable shortcuts */
+  var ci = params.ci
+    , hs = cons.herdSize
+    , dp = params.dp
+    , gp = params.gp
+    , sb = cons.stillBirthRate
+    , yc = params.yc
+    , fc = cons.femaleCalfRate
+    , ac = params.ac
+    , fert = params.fert
+    , cows = vars.cows
+    , young = vars.young
+    , converged = false
+    , its = 0 /* no. iterations */
+    ;
+
+  /* initialize cow array with some meaningfull values to have a starting point
+    cows at age ageFirstCalving + m within calving interval. eqal distribution of status througout calvingInterval */
+  var l = 0;
+  while (l < 4) { /* just set cows up to lactation 4 (could be any) */ 
+    
+    for (var m = 0; m < ci; m++) {
+      cows[m + l * (ci - 1)] = { 
+          no: (hs / ci) / 4 /* devide by 4 because we only initialize for cows till fourth lactation */
+        , lac: l + 1
+        , dry: (m >= ci - dp) ? true : false
+        , WG: (m >= ci - gp) ? (ci - gp) * WEEKS_IN_MONTH : 0
+        , WL: (m >= ci - dp) ? 0 : m * WEEKS_IN_MONTH
+        , age: ac + ci * (l - 1) + m
+        , m: m
+      };
+      vars.noCows += (hs / ci) / 4;
+    }
+
+    l++;
+  }
+
+  /* Initialize young stock array. Apply death rate equally distributed as compound interest: 
+    K_interest = K_start * (1 + p / 100)^n <=> p / 100 = (K_interest / K_start)^(1/n) - 1
+    K_start = (hs / ci) *  (1 - sb) * fc */
+  young[0] = (hs / ci) *  (1 - sb) * fc * pow(1 - yc, 1 / ac);
+  for (var m = 1; m < ac; m++)
+    young[m] = young[m - 1] * pow(1 - yc, 1 / ac); /* no. young stock per age month */
+
+  /* loop until converged i.e. avg. lactation within herd with no. cows equals herd size does not change anymore.
+    Each iteration step equals one month */
+  while (!converged) {
+
+    var flows = month(cows, young, hs, params);
+
+    vars.noCows = flows.noCows;
+    vars.heifersSold.unshift(flows.heifersSold);
+    vars.heifersBought.unshift(flows.heifersBought);
+    vars.culls.unshift(flows.culls);
+    vars.calves.unshift(flows.calves);
+
+    /* calculate cows per lactation */
+    vars.lac = [];
+    for (var c = 0, cs = cows.length; c < cs; c++) {
+      if (!vars.lac[cows[c].lac - 1]) 
+        vars.lac[cows[c].lac - 1] = 0;
+      vars.lac[cows[c].lac - 1] += cows[c].no;
+    }  
+
+    var lacSum = 0;
+    /* calculate avg. lactation */
+    for (var l = 0, ls = vars.lac.length; l < ls; l++) {
+      lacSum += vars.lac[l] * (l + 1);
+    }
+
+    /* debug max. lac 20 */
+    for (var l = 0; l < 20; l++) {
+      if (!vars.sim[l])
+        vars.sim[l] = [];
+      var no = vars.lac[l];
+      vars.sim[l].push(no ? no : 0);
+    }
+
+    if ((its > IT_MIN && round(vars.noCows) === hs && Math.round(avg_lac * 1e6) === round(lacSum / vars.noCows * 1e6)) 
+      || its > IT_MAX || round(vars.noCows) === 0 || isNaN(vars.noCows)) {
+      converged = true;
+    }
+
+    var avg_lac = lacSum / vars.noCows;
+    its++;
+
+  } /* simulation loop */
+
+  if (!(round(vars.noCows) > 0))
+    throw new Error(infeasible(params));
+
+  var herd = summary(vars.culls.slice(0, 12), vars.calves.slice(0, 12), vars.heifersSold.slice(0, 12), params);
+
+  herd.sim = vars.sim;
+  herd.heifersBought = round(vars.heifersBought[0]);
+  herd.heifersSold = round(vars.heifersSold[0]);
+  herd.fertility = fert;
+
+  var animals = structure(cows, vars.young, hs, params, options);
+  for (var prop in animals)
+    herd[prop] = animals[prop];
+
+  if (animals.milk !== undefined)
+    herd.lifetimeMilk = (herd.culls.total > 0) ? round(animals.milk / herd.culls.total) : 0;
+
+  return herd;
+
+};
+
+/*
+  Steady state herd structure solved directly instead of iterating the herd month by month (see get).
+
+  The monthly cohort transitions of a cow (culling, pregnancy, dry off, calving) are treated as a Markov chain on the
+  states (lactation, month since calving). Each culled cow is replaced by a heifer entering the state (1, 0). The
+  stationary distribution of this chain is proportional to the probability S(s) of a cow that entered the herd to
+  survive to state s (renewal theorem). S is traced month by month for a single entering cohort until the remaining
+  mass (tailMass) is below tolerance. With herd size hs the no. of heifers entering the herd per month is hs / sum(S)
+  and the young stock follows from the female calves born per month.
+
+  Returns the same output as get and additionally
+
+  diagnostics   [object]
+    method      [string]  'renewal'
+    months      [#]       no. of month traced until the cohort's remaining mass fell below tolerance
+    tailMass    [-]       fraction of the entering cohort still in the herd at the last month traced
+    residual    [#]       max. absolute change of cows per lactation (and herd size) if the steady state is advanced
+                          by one month with the cohort model (see get)
+    converged   [bool]    if tailMass and residual / herdSize are below tolerance
+
+  options are the same as in get and additionally
+
+  tolerance [-]     tolerance (default 1e-9)
+  maxMonths [month] max. no. of month to trace a cohort (default 1200)
+*/
+
+var solve = function (options) {
+
+  options = options || {};
+
+  var params = parameters(options)
+    , hs = cons.herdSize
+    , ac = params.ac
+    , yc = params.yc
+    , tolerance = (typeof options.tolerance === 'number' && options.tolerance > 0) ? options.tolerance : 1e-9
+    , maxMonths = (typeof options.maxMonths === 'number' && options.maxMonths > 0) ? round(options.maxMonths) : 1200
+    , cow = { no: 1, lac: 1, dry: false, WG: 0, WL: 0, age: ac, m: 0 }
+    , states = []   /* surviving fraction of the entering cohort per month since entry */
+    , culls = { total: 0, age: 0, voluntary: {}, involuntary: {} }
+    , calvings = []
+    , life = 0
+    , t = 0
+    ;
+
+  /* trace a single cohort entering the herd */
+  while (cow.no > tolerance && t < maxMonths) {
+    states.push({ no: cow.no, lac: cow.lac, dry: cow.dry, WG: cow.WG, WL: cow.WL, age: cow.age, m: cow.m });
+    life += cow.no;
+    var calved = step(cow, params, culls);
+    if (calved > 0)
+      calvings[cow.lac - 2] = (calvings[cow.lac - 2] || 0) + calved;
+    t++;
+  }
+
+  /* heifers entering per month */
+  var entries = hs / life
+    , cohorts = []
+    , lac = []
+    ;
+
+  for (var s = 0, ss = states.length; s < ss; s++) {
+    var state = states[s];
+    cohorts.push({
+        no: entries * state.no
+      , lac: state.lac
+      , dry: state.dry
+      , WG: state.WG
+      , WL: state.WL
+      , age: state.age
+      , m: state.m
+    });
+    lac[state.lac - 1] = (lac[state.lac - 1] || 0) + entries * state.no;
+  }
+
+  /* female calves per month F = H * born(0) + entries * sum(calvings(p) * born(p)) with heifers calving 
+    H = F * (1 - yc)^((ac + 1) / ac) (see month) */
+  var survival = pow(1 - yc, (ac + 1) / ac)
+    , monthlyCalves = { replacement: 0, surplusDairy: 0, beefCross: 0 }
+    , fromCows = 0
+    ;
+
+  for (var p = 0, ps = calvings.length; p < ps; p++)
+    fromCows += entries * (calvings[p] || 0) * calves(params.plans, p + 1).replacement;
+
+  var heifers = survival * fromCows / (1 - survival * calves(params.plans, 0).replacement)
+    , female = heifers / survival
+    ;
+
+  for (var prop in monthlyCalves) {
+    monthlyCalves[prop] = heifers * calves(params.plans, 0)[prop];
+    for (var p = 0, ps = calvings.length; p < ps; p++)
+      monthlyCalves[prop] += entries * (calvings[p] || 0) * calves(params.plans, p + 1)[prop];
+  }
+
+  var young = [];
+  for (var m = 0; m < ac; m++)
+    young[m] = female * pow(1 - yc, (m + 1) / ac);
+
+  /* annual culls */
+  var annual = { total: 12 * entries * culls.total, age: 12 * entries * culls.age, voluntary: {}, involuntary: {} };
+  for (var reason in culls.voluntary)
+    annual.voluntary[reason] = 12 * entries * culls.voluntary[reason];
+  for (var reason in culls.involuntary)
+    annual.involuntary[reason] = 12 * entries * culls.involuntary[reason];
+  for (var prop in monthlyCalves)
+    monthlyCalves[prop] *= 12;
+
+  if (params.buy === false && heifers < entries)
+    throw new Error(infeasible(params));
+
+  var herd = summary([annual], [monthlyCalves], [12 * ((heifers > entries) ? heifers - entries : 0)], params);
+
+  herd.heifersBought = round((entries > heifers) ? entries - heifers : 0);
+  herd.heifersSold = round((heifers > entries) ? heifers - entries : 0);
+  herd.fertility = params.fert;
+
+  var animals = structure(cohorts, young, hs, params, options);
+  for (var prop in animals)
+    herd[prop] = animals[prop];
+
+  if (animals.milk !== undefined)
+    herd.lifetimeMilk = (herd.culls.total > 0) ? round(animals.milk / herd.culls.total) : 0;
+
+  /* advance the steady state one month to check stationarity */
+  var next = []
+    , after = []
+    ;
+  for (var c = 0, cs = cohorts.length; c < cs; c++)
+    next.push(extend(cohorts[c], {}));
+
+  var flows = month(next, young.slice(), hs, params)
+    , residual = Math.abs(flows.noCows - hs)
+    ;
+
+  for (var c = 0, cs = next.length; c < cs; c++)
+    after[next[c].lac - 1] = (after[next[c].lac - 1] || 0) + next[c].no;
+  for (var l = 0, ls = (after.length > lac.length) ? after.length : lac.length; l < ls; l++)
+    residual = Math.max(residual, Math.abs((after[l] || 0) - (lac[l] || 0)));
+
+  herd.diagnostics = {
+      method: 'renewal'
+    , months: t
+    , tailMass: cow.no
+    , residual: residual
+    , converged: cow.no <= tolerance && residual / hs < 1e-6
+  };
+
+  return herd;
+
+};
+
+/*
+  Individual-animal herd simulation on a daily timestep.
+
+  Each cow and heifer is followed separately from birth to culling. The herd is initialized with the steady state herd
+  structure returned by get and uses the same parameters. Events are drawn from the (daily) probabilities that
+  correspond to the monthly rates used in get:
+
+  * cows are culled with a daily probability equivalent to the monthly replacement rate (replacementRate / 12) or to
+    the monthly culling rates per reason, parity and month since calving if cullingRates are provided.
+  * young stock is culled with a daily probability such that youngStockCullRate do not reach the first calving.
+  * cows conceive at calvingInterval - gestationPeriod after calving and heifers at ageFirstCalving - gestationPeriod.
+    If fertility parameters are provided heats, services, conception and pregnancy losses of cows are drawn from the
+    reproduction submodel's probabilities and cows not pregnant after lastBreeding are culled (see fertility).
+  * cows are dried off dryPeriode before calving.
+  * calves are either still born or female with stillBirthRate and femaleCalfRate. Male calves are not followed. If a
+    breeding plan is provided the semen type is drawn from the plan and only female dairy calves are followed.
+  * heifers calving enter the herd if the no. of cows is below herdSize, otherwise they are kept in a pool of own
+    replacements (not counted as cows). Once a month missing cows are replaced from the pool first and heifers are
+    bought only if the pool is empty (unless replacement is 'raise'). Heifers of the pool beyond the expected
+    replacements of a month (herdSize * replacementRate / 12, rounded up) are sold, the oldest first.
+
+  Returns an array with one object per day
+
+  day           [day]
+  cows          [array]   cows as returned by get (DPP, isDry, DIM, DG, AGE, AGE_days, P, stage) with an additional id
+  young         [array]   young stock (AGE, AGE_days, DG, P = 0) with an id
+  noCows        [#]       no. of cows
+  noYoung       [#]       no. of young stock
+  cowsPerLac    [array]   no. of cows of parity 1, 2 and > 2
+  calvings      [#]       no. of calvings
+  calves        [object]  calves born alive { replacement, surplusDairy, beefCross }
+  culls         [#]       no. of culled cows
+  cullReasons   [object]  no. of culled cows per reason { voluntary: {}, involuntary: {} }
+  heifersIn     [#]       no. of own heifers that entered the herd
+  heifersSold   [#]       no. of own heifers sold from the pool
+  heifersBought [#]       no. of heifers bought
+  breeds        [object]  no. of cows and young stock per breed { breed: { cows, young } } (only if options.breeds is
+                          provided)
+
+  With a breed mix cows start with the breeds assigned by get, young stock and bought heifers are drawn from the mix
+  and female calves are of their dam's breed (purebred replacement).
+
+  options are the same as in get and additionally
+
+  days    [day]     no. of days to simulate (default 365)
+  herd    [object]  steady state herd structure as returned by get with the same options (computed if not provided)
+  seed    [#]       seed of the random number generator (see rng)
+  random  [function] random number generator returning values in [0, 1), overrides seed (default Math.random)
+  animals [bool]    if false the cows and young arrays are not stored (default true)
+*/
+
+var daily = function (options) {
+
+  options = options || {};
+
+  var random = (typeof options.random === 'function') ? options.random
+      : ((typeof options.seed === 'number') ? rng(options.seed) : Math.random)
+    ;
+
+  /* steady state herd structure as a starting point. Sets cons as well */
+  var herd = (options.herd && Array.isArray(options.herd.cows) && Array.isArray(options.herd.young)) ? options.herd
+        : get(extend(options, { random: random }))
+    , params = parameters(options)
+    ;
+
+  var days = (typeof options.days === 'number' && options.days > 0) ? options.days : 365
+    , animals = (options.animals !== false)
+    , hs = cons.herdSize
+    , sb = cons.stillBirthRate
+    , fc = cons.femaleCalfRate
+    , rr = cons.replacementRate
+    , yc = cons.youngStockCullRate
+      /* month to days (calving interval derived from fertility if provided) */
+    , CI = params.ci * DAYS_IN_MONTH
+    , GP = params.gp * DAYS_IN_MONTH
+    , DP = params.dp * DAYS_IN_MONTH
+    , AC = params.ac * DAYS_IN_MONTH
+      /* daily culling probabilities */
+    , p_cull = 1 - pow(1 - rr / 12, 1 / DAYS_IN_MONTH)
+    , p_cull_young = 1 - pow(1 - yc, 1 / AC)
+    , rates = params.rates
+    , fert = params.fert
+    , plans = params.plans
+    , mix = params.mix
+    , cows = []
+    , young = []
+    , pool = [] /* own heifers calved while the herd was complete */
+    , reserve = ceil(hs * rr / 12) /* max. heifers kept in the pool at the end of a month */
+    , sim = []
+    , id = 0
+    ;
+
+  var cowAt = function (cow) {
+    var at = {
+        id: cow.id
+      , DPP: cow.DPP
+      , isDry: cow.isDry
+      , DIM: cow.isDry ? 0 : cow.DPP
+      , DG: cow.DG
+      , AGE: round(cow.AGE_days / DAYS_IN_MONTH)
+      , AGE_days: cow.AGE_days
+      , P: cow.P
+    };
+    at.stage = stage(at, cons.gestationPeriod);
+    if (cow.breed)
+      at.breed = cow.breed;
+    return at;
+  };
+
+  var youngAt = function (heifer) {
+    var at = {
+        id: heifer.id
+      , AGE: round(heifer.AGE_days / DAYS_IN_MONTH)
+      , AGE_days: heifer.AGE_days
+      , DG: heifer.DG
+      , P: 0
+    };
+    if (heifer.breed)
+      at.breed = heifer.breed;
+    return at;
+  };
+
+  /* day post partum of next heat after vwp */
+  var heat = function (DPP) {
+    return ((fert && DPP < fert.vwp) ? fert.vwp : DPP) + floor(random() * DAYS_ESTROUS_CYCLE);
+  };
+
+  /* draws the calf of a dam of parity p (at insemination). Returns 1 if a live female dairy calf is born */
+  var calf = function (p, born) {
+
+    if (random() < sb)
+      return 0;
+
+    var shares = breeding(plans, p)
+      , draw = random()
+      ;
+
+    if (draw < shares.beef) {
+      born.beefCross++;
+      return 0;
+    }
+
+    if (random() < ((draw < shares.beef + shares.sexed) ? cons.sexedFemaleRate : fc)) {
+      born.replacement++;
+      return 1;
+    }
+
+    born.surplusDairy++;
+    return 0;
+
+  };
+
+  for (var c = 0, cs = herd.cows.length; c < cs; c++) {
+    var cow = herd.cows[c];
+    cows.push({
+        id: id++
+      , DPP: cow.DPP
+      , isDry: cow.isDry
+      , DG: cow.DG
+      , AGE_days: cow.AGE_days
+      , P: cow.P
+      , heat: heat(cow.DPP)
+      , loss: 0
+      , breed: cow.breed
+    });
+  }
+
+  for (var y = 0, ys = herd.young.length; y < ys; y++) {
+    var age = round((herd.young[y].age - 0.5) * DAYS_IN_MONTH);
+    for (var i = 0, is = herd.young[y].no; i < is; i++) {
+      young.push({
+          id: id++
+        , AGE_days: age
+        , DG: (age > AC - GP) ? round(age - (AC - GP)) : 0
+        , breed: mix ? drawBreed(mix, random) : undefined
+      });
+    }
+  }
+
+  for (var day = 1; day <= days; day++) {
+
+    var today = {
+        day: day
+      , cows: []
+      , young: []
+      , noCows: 0
+      , noYoung: 0
+      , cowsPerLac: [0, 0, 0]
+      , calvings: 0
+      , calves: { replacement: 0, surplusDairy: 0, beefCross: 0 }
+      , culls: 0
+      , cullReasons: { voluntary: {}, involuntary: {} }
+      , heifersIn: 0
+      , heifersSold: 0
+      , heifersBought: 0
+    };
+
+    var newCalves = []; /* breed of the dam of each female calf */
+
+    /* cows: culling, pregnancy, dry off and calving */
+    for (var c = cows.length - 1; c >= 0; c--) {
+
+      var cow = cows[c];
+
+      if (rates) {
+        /* daily probability from monthly rate and draw a reason proportional to its rate */
+        var cull = cullingRate(rates, cow.P, floor(cow.DPP / DAYS_IN_MONTH))
+          , draw = random()
+          , p_cull_day = 1 - pow(1 - cull.total, 1 / DAYS_IN_MONTH)
+          ;
+        if (draw < p_cull_day) {
+          for (var r = 0, rs = cull.reasons.length; r < rs; r++) {
+            var reason = cull.reasons[r];
+            if (draw < p_cull_day * reason.rate / cull.total || r === rs - 1) {
+              var counts = today.cullReasons[reason.group];
+              counts[reason.reason] = (counts[reason.reason] || 0) + 1;
+              break;
+            }
+            draw -= p_cull_day * reason.rate / cull.total;
+          }
+          cows.splice(c, 1);
+          today.culls++;
+          continue;
+        }
+      } else if (random() < p_cull) {
+        cows.splice(c, 1);
+        today.culls++;
+        continue;
+      }
+
+      cow.AGE_days++;
+      cow.DPP++;
+
+      if (cow.DG > 0) {
+        cow.DG++;
+        /* pregnancy lost */
+        if (cow.DG === cow.loss) {
+          cow.DG = 0;
+          cow.loss = 0;
+          cow.heat = heat(cow.DPP);
+        }
+      } else if (fert) {
+        if (cow.DPP > fert.lastBreeding) {
+          today.cullReasons.involuntary.notPregnant = (today.cullReasons.involuntary.notPregnant || 0) + 1;
+          cows.splice(c, 1);
+          today.culls++;
+          continue;
+        }
+        if (cow.DPP >= cow.heat) {
+          if (random() < fert.heatDetectionRate && random() < fert.conceptionRate) {
+            cow.DG = 1;
+            /* embryonic or fetal loss within the second and third month of gestation */
+            cow.loss = (random() < fert.pregnancyLoss) ? round(30 + random() * 60) : 0;
+          }
+          cow.heat += DAYS_ESTROUS_CYCLE;
+        }
+      } else if (cow.DPP > CI - GP) {
+        cow.DG = 1;
+      }
+
+      if (!cow.isDry && cow.DG > GP - DP)
+        cow.isDry = true;
+
+      if (cow.DG >= GP) {
+        if (calf(cow.P, today.calves))
+          newCalves.push(cow.breed);
+        today.calvings++;
+        cow.P++;
+        cow.DPP = 0;
+        cow.DG = 0;
+        cow.isDry = false;
+        cow.heat = heat(0);
+      }
+
+    }
+
+    /* young stock: culling, pregnancy and first calving */
+    for (var y = young.length - 1; y >= 0; y--) {
+
+      var heifer = young[y];
+
+      if (random() < p_cull_young) {
+        young.splice(y, 1);
+        continue;
+      }
+
+      heifer.AGE_days++;
+
+      if (heifer.DG > 0)
+        heifer.DG++;
+      else if (heifer.AGE_days > AC - GP)
+        heifer.DG = 1;
+
+      if (heifer.DG >= GP) {
+        if (calf(0, today.calves))
+          newCalves.push(heifer.breed);
+        today.calvings++;
+        young.splice(y, 1);
+        var fresh = {
+            id: heifer.id
+          , DPP: 0
+          , isDry: false
+          , DG: 0
+          , AGE_days: heifer.AGE_days
+          , P: 1
+          , heat: heat(0)
+          , loss: 0
+          , breed: heifer.breed
+        };
+        if (cows.length < hs) {
+          cows.push(fresh);
+          today.heifersIn++;
+        } else {
+          pool.push(fresh);
+        }
+      }
+
+    }
+
+    for (var n = 0, ns = newCalves.length; n < ns; n++)
+      young.push({ id: id++, AGE_days: 0, DG: 0, breed: newCalves[n] });
+
+    /* heifers of the pool calved after the herd was complete: they are kept like cows until the end of the month */
+    for (var f = 0, fs = pool.length; f < fs; f++) {
+      pool[f].AGE_days++;
+      pool[f].DPP++;
+    }
+
+    /* once a month replace missing cows with own heifers of the pool, sell the rest and buy heifers (at first calving)
+      only if no own heifer is left (like month) */
+    if (floor(day / DAYS_IN_MONTH) > floor((day - 1) / DAYS_IN_MONTH)) {
+      while (cows.length < hs && pool.length > 0) {
+        var fresh = pool.shift();
+        fresh.heat = heat(fresh.DPP);
+        cows.push(fresh);
+        today.heifersIn++;
+      }
+      /* keep the expected replacements of a month and sell the older heifers */
+      while (pool.length > reserve) {
+        pool.shift();
+        today.heifersSold++;
+      }
+      while (options.replacement !== 'raise' && cows.length < hs) {
+        cows.push({
+            id: id++
+          , DPP: 0
+          , isDry: false
+          , DG: 0
+          , AGE_days: round(AC)
+          , P: 1
+          , heat: heat(0)
+          , loss: 0
+          , breed: mix ? drawBreed(mix, random) : undefined
+        });
+        today.heifersBought++;
+      }
+    }
+
+    today.noCows = cows.length;
+    today.noYoung = young.length;
+
+    for (var c = 0, cs = cows.length; c < cs; c++)
+      today.cowsPerLac[(cows[c].P > 2) ? 2 : cows[c].P - 1]++;
+
+    if (mix) {
+      today.breeds = {};
+      for (var b = 0, bs = mix.length; b < bs; b++)
+        today.breeds[mix[b].name] = { cows: 0, young: 0 };
+      for (var c = 0, cs = cows.length; c < cs; c++)
+        today.breeds[cows[c].breed].cows++;
+      for (var y = 0, ys = young.length; y < ys; y++)
+        today.breeds[young[y].breed].young++;
+    }
+
+    if (animals) {
+      for (var c = 0, cs = cows.length; c < cs; c++)
+        today.cows.push(cowAt(cows[c]));
+
+      for (var y = 0, ys = young.length; y < ys; y++)
+        today.young.push(youngAt(young[y]));
+    }
+
+    sim.push(today);
+
+  }
+
+  return sim;
+
+};
+
+/*
+  Herd size target in month t from a herd size path. Returns herdSize if no path is provided.
+
+  path  [array]     points [[month, herd size], ..] linearly interpolated and constant before the first and after the
+                    last point, or
+        [function]  function (month) returning the herd size
+  t     [month]
+*/
+
+var herdSizeAt = function (path, t) {
+
+  if (typeof path === 'function')
+    return path(t);
+
+  if (!Array.isArray(path) || path.length === 0)
+    return cons.herdSize;
+
+  if (t <= path[0][0])
+    return path[0][1];
+
+  for (var p = 1, ps = path.length; p < ps; p++) {
+    if (t <= path[p][0])
+      return path[p - 1][1] + (path[p][1] - path[p - 1][1]) * (t - path[p - 1][0]) / (path[p][0] - path[p - 1][0]);
+  }
+
+  return path[path.length - 1][1];
+
+};
+
+/*
+  Transient herd trajectory starting from an initial herd state.
+
+  The herd is projected month by month with the same cohort model as in get (see month). Cow counts are fractional.
+  Returns an array with one object per month
+
+  month         [#]       month of projection (1, 2, ..)
+  noCows        [#]       no. of cows
+  cowsPerLac    [array]   no. of cows per parity (index 0 is parity 1)
+  calvings      [#]       no. of calvings of cows and heifers
+  culls         [#]       no. of culled cows
+  reduction     [#]       no. of cows culled to reduce the herd size
+  target        [#]       herd size target
+  heifersIn     [#]       no. of own heifers that entered the herd
+  heifersSold   [#]       no. of own heifers sold
+  heifersBought [#]       no. of heifers bought
+  shortfall     [#]       no. of cows missing to reach the target (if heifers are not bought)
+  extraCalves   [#]       no. of additional female calves to be born alive (and raised) in this month in order to
+                          replace the heifers bought or the shortfall ageFirstCalving month later
+  noYoung       [#]       no. of young stock
+  young         [array]   no. of young stock per age month (index 0 is age month 1)
+
+  state   [object]  initial herd state
+    cows  [array]   cows as returned by get { DPP, isDry, DG, AGE, P } with an optional no. of cows (no, default 1)
+    young [array]   young stock per age month as returned by get { age, no }
+  options [object]  same as in get and additionally
+    months      [#]       projection horizon in month (default 60)
+    herdSizes   [array]   herd size path for expansion or contraction scenarios (see herdSizeAt), default herdSize
+    replacement [enum]    'buy' missing heifers (default) or 'raise' i.e. only own heifers enter the herd
+*/
+
+var project = function (state, options) {
+
+  options = options || {};
+  state = state || {};
+
+  var params = parameters(options)
+    , months = (typeof options.months === 'number' && options.months > 0) ? round(options.months) : 60
+    , hs = 0
+    , ac = params.ac
+    , cows = []
+    , young = []
+    , series = []
+    ;
+
+  for (var c = 0, cs = (state.cows || []).length; c < cs; c++) {
+    var cow = state.cows[c]
+      , DPP = cow.DPP || 0
+      , isDry = (typeof cow.isDry === 'boolean') ? cow.isDry : DPP > (params.ci - params.dp) * DAYS_IN_MONTH
+      ;
+    cows.push({
+        no: (typeof cow.no === 'number') ? cow.no : 1
+      , lac: cow.P || 1
+      , dry: isDry
+      , WG: (cow.DG || 0) / 7
+      , WL: isDry ? 0 : DPP / 7
+      , age: (typeof cow.AGE === 'number') ? cow.AGE : (cow.AGE_days || ac * DAYS_IN_MONTH) / DAYS_IN_MONTH
+      , m: floor(DPP / DAYS_IN_MONTH)
+    });
+  }
+
+  for (var y = 0; y < ac; y++)
+    young[y] = 0;
+
+  for (var y = 0, ys = (state.young || []).length; y < ys; y++) {
+    var age = round(state.young[y].age) - 1;
+    young[(age < 0) ? 0 : ((age > ac - 1) ? ac - 1 : age)] += state.young[y].no || 0;
+  }
+
+  for (var t = 1; t <= months; t++) {
+
+    hs = herdSizeAt(options.herdSizes, t);
+
+    var flows = month(cows, young, hs, params)
+      , cowsPerLac = []
+      , noYoung = 0
+      ;
+
+    for (var c = 0, cs = cows.length; c < cs; c++) {
+      for (var l = cowsPerLac.length; l < cows[c].lac; l++)
+        cowsPerLac[l] = 0;
+      cowsPerLac[cows[c].lac - 1] += cows[c].no;
+    }
+
+    for (var y = 0; y < ac; y++)
+      noYoung += young[y];
+
+    series.push({
+        month: t
+      , noCows: flows.noCows
+      , cowsPerLac: cowsPerLac
+      , calvings: flows.calvings
+      , culls: flows.culls.total
+      , reduction: flows.culls.voluntary.herdReduction || 0
+      , target: hs
+      , heifersIn: flows.heifersIn
+      , heifersSold: flows.heifersSold
+      , heifersBought: flows.heifersBought
+      , shortfall: (hs > flows.noCows) ? hs - flows.noCows : 0
+      , extraCalves: 0
+      , noYoung: noYoung
+      , young: young.slice()
+    });
+
+  }
+
+  /* heifers missing in month t must be born ac month earlier. Account for young stock losses (survival as in month) */
+  for (var t = ac, ts = series.length; t < ts; t++)
+    series[t - ac].extraCalves = (series[t].heifersBought + series[t].shortfall) / pow(1 - params.yc, (ac + 1) / ac);
+
+  return series;
+
+};
+
+/*
+  Stochastic (Monte Carlo) herd dynamics.
+
+  Runs the individual-animal simulation (daily) n times starting from the same steady state herd structure (see get,
+  computed once). Births, sex of calves, still births, young stock losses and culls are drawn from their probabilities
+  with a seedable random number generator, i.e. results are reproducible for the same seed. Returns mean, standard
+  deviation and percentiles over all replicates of
+
+  noCows        [#]       no. of cows at the end of the simulation
+  noYoung       [#]       no. of young stock at the end of the simulation
+  cowsPerLac    [array]   no. of cows of parity 1, 2 and > 2 at the end of the simulation
+  calvings      [# year-1]
+  culls         [# year-1]
+  heifersSold   [# year-1]
+  heifersBought [# year-1]
+
+  Heifers are replaced as in daily: own heifers calved while the herd is complete are kept in a pool, the surplus of the
+  pool is sold and heifers are only bought if the pool is empty. heifersSold and heifersBought are annual sums while get
+  reports the (rounded) no. per month, i.e. the means compare to 12 times the monthly flows of get.
+
+  Each statistic is an object { mean, sd, min, max, percentiles } with percentiles in the order of options.percentiles.
+
+  options are the same as in daily and additionally
+
+  replicates  [#]       no. of replicates (default 100)
+  seed        [#]       seed of the random number generator (default 1)
+  percentiles [array]   percentiles (0-1) to report (default [0.05, 0.25, 0.5, 0.75, 0.95])
+*/
+
+var stochastic = function (options) {
+
+  options = options || {};
+
+  var replicates = (typeof options.replicates === 'number' && options.replicates > 0) ? round(options.replicates) : 100
+    , percentiles = Array.isArray(options.percentiles) ? options.percentiles : [0.05, 0.25, 0.5, 0.75, 0.95]
+    , random = (typeof options.random === 'function') ? options.random
+      : rng((typeof options.seed === 'number') ? options.seed : 1)
+    , runs = {
+          noCows: []
+        , noYoung: []
+        , cowsPerLac: [[], [], []]
+        , calvings: []
+        , culls: []
+        , heifersSold: []
+        , heifersBought: []
+      }
+    , herd = get(extend(options, { random: random }))
+    ;
+
+  for (var r = 0; r < replicates; r++) {
+
+    var sim = daily(extend(options, { random: random, animals: false, herd: herd }))
+      , last = sim[sim.length - 1]
+      , years = sim.length / DAYS_IN_YEAR
+      , sums = { calvings: 0, culls: 0, heifersSold: 0, heifersBought: 0 }
+      ;
+
+    for (var d = 0, ds = sim.length; d < ds; d++) {
+      for (var prop in sums)
+        sums[prop] += sim[d][prop];
+    }
+
+    for (var prop in sums)
+      runs[prop].push(sums[prop] / years);
+
+    runs.noCows.push(last.noCows);
+    runs.noYoung.push(last.noYoung);
+    for (var l = 0; l < 3; l++)
+      runs.cowsPerLac[l].push(last.cowsPerLac[l]);
+
+  }
+
+  var result = {
+      replicates: replicates
+    , percentiles: percentiles
+    , cowsPerLac: []
+  };
+
+  for (var prop in runs) {
+    if (prop === 'cowsPerLac') {
+      for (var l = 0; l < 3; l++)
+        result.cowsPerLac[l] = statistics(runs.cowsPerLac[l], percentiles);
+    } else {
+      result[prop] = statistics(runs[prop], percentiles);
+    }
+  }
+
+  return result;
+
+};
+
+/*
+  Herd import from animal records (e.g. exports of herd management software). Returns the cows in the format of get
+  (with an additional id), the young stock per age month as in get, the heifers in the format of the young stock in
+  daily, a list of errors and a list of warnings. Records with errors (inconsistent data) are not imported, records
+  with warnings (implausible but possible data) are imported.
+
+  cows      [array]   cows { id, DPP, isDry, DIM, DG, AGE, AGE_days, P, stage }
+  young     [array]   young stock { age [month], no }
+  heifers   [array]   young stock { id, AGE, AGE_days, DG, P = 0 }
+  errors    [array]   inconsistent records { row (record no. without header), id, message }
+  warnings  [array]   implausible records { row, id, message }: cows not pregnant longer than limits.daysOpen after
+                      calving, calving intervals longer than limits.calvingInterval, age at first calving outside
+                      limits.ageFirstCalving and heifers not pregnant older than limits.heiferAge
+
+  Cows are considered pregnant if inseminated after the last calving (heifers if inseminated at all) and dry if pregnant
+  and the expected calving is within dryPeriode.
+
+  data    [string]  CSV with a header row and columns id, birth, calvings, parity and insemination. Calving dates are
+                    separated by '|' or blanks. Dates are ISO (2014-03-31) or dd.mm.yyyy (31.03.2014) strings. Columns
+                    are separated by ',' or ';' (detected from the header).
+          [array]   records { id, birth, calvings, parity, insemination }. Dates may also be Date objects and calvings
+                    an array.
+  options [object]
+    date            [date]    reference date (default today)
+    columns         [object]  column names in the CSV header if different, e.g. { id: 'animal', birth: 'born' }
+    gestationPeriod [month]   (default cons.gestationPeriod)
+    dryPeriode      [month]   (default cons.dryPeriode)
+    limits          [object]  plausibility limits
+      daysOpen        [day]     max. days post partum of cows not pregnant (default 250)
+      calvingInterval [day]     max. calving interval (default 600)
+      ageFirstCalving [array]   [min, max] age at first calving in month (default [18, 42])
+      heiferAge       [month]   max. age of heifers not pregnant (default 30)
+*/
+
+var records = function (data, options) {
+
+  options = options || {};
+
+  var gp = (typeof options.gestationPeriod === 'number') ? options.gestationPeriod : cons.gestationPeriod
+    , dp = (typeof options.dryPeriode === 'number') ? options.dryPeriode : cons.dryPeriode
+    , today = toDays(options.date || new Date())
+    , rows = (typeof data === 'string') ? csv(data, options.columns) : (Array.isArray(data) ? data : [])
+    , ids = {}
+    , herd = { cows: [], young: [], heifers: [], errors: [], warnings: [] }
+    , limits = options.limits || {}
+    , maxDaysOpen = (typeof limits.daysOpen === 'number') ? limits.daysOpen : 250
+    , maxCalvingInterval = (typeof limits.calvingInterval === 'number') ? limits.calvingInterval : 600
+    , ageFirstCalving = Array.isArray(limits.ageFirstCalving) ? limits.ageFirstCalving : [18, 42]
+    , maxHeiferAge = (typeof limits.heiferAge === 'number') ? limits.heiferAge : 30
+    ;
+
+  if (isNaN(today))
+    throw new Error('invalid reference date');
+
+  for (var r = 0, rs = rows.length; r < rs; r++) {
+
+    var row = rows[r]
+      , id = (row.id === undefined || row.id === null) ? '' : String(row.id).trim()
+      , errors = []
+      , birth = toDays(row.birth)
+      , insemination = (row.insemination === undefined || row.insemination === null || row.insemination === '')
+        ? null : toDays(row.insemination)
+      , calvings = []
+      , dates = Array.isArray(row.calvings) ? row.calvings
+        : ((typeof row.calvings === 'string' && row.calvings.trim() !== '') ? row.calvings.trim().split(/[\s|]+/) : [])
+      , parity = (row.parity === undefined || row.parity === null || row.parity === '') ? dates.length : +row.parity
+      ;
+
+    for (var d = 0, ds = dates.length; d < ds; d++) {
+      var calving = toDays(dates[d]);
+      if (isNaN(calving))
+        errors.push('invalid calving date ' + dates[d]);
+      else
+        calvings.push(calving);
+    }
+    calvings.sort(function (a, b) { return a - b; });
+
+    if (id === '')
+      errors.push('missing id');
+    else if (ids[id])
+      errors.push('duplicate id');
+    if (isNaN(birth))
+      errors.push('invalid birth date');
+    else if (birth > today)
+      errors.push('birth after reference date');
+    if (isNaN(parity) || parity < 0 || parity % 1 !== 0)
+      errors.push('invalid parity ' + row.parity);
+    else if (calvings.length > parity)
+      errors.push('parity ' + parity + ' but ' + calvings.length + ' calvings');
+    else if (parity > 0 && calvings.length === 0)
+      errors.push('parity ' + parity + ' but no calving date');
+    if (insemination !== null && isNaN(insemination))
+      errors.push('invalid insemination date');
+
+    for (var c = 0, cs = calvings.length; c < cs; c++) {
+      if (calvings[c] <= birth)
+        errors.push('calving before birth');
+      else if (calvings[c] - birth < gp * DAYS_IN_MONTH)
+        errors.push('first calving before end of gestation period');
+      if (c > 0 && calvings[c] - calvings[c - 1] < gp * DAYS_IN_MONTH)
+        errors.push('calving interval shorter than gestation period');
+      if (calvings[c] > today)
+        errors.push('calving after reference date');
+    }
+
+    var last = (calvings.length > 0) ? calvings[calvings.length - 1] : null
+      , DG = 0
+      ;
+
+    if (insemination !== null && !isNaN(insemination)) {
+      if (insemination > today)
+        errors.push('insemination after reference date');
+      else if (insemination <= birth)
+        errors.push('insemination before birth');
+      else if (last === null || insemination > last) {
+        DG = today - insemination;
+        if (DG > gp * DAYS_IN_MONTH)
+          errors.push('pregnancy longer than gestation period (' + DG + ' days)');
+      }
+    }
+
+    if (errors.length > 0) {
+      for (var e = 0, es = errors.length; e < es; e++)
+        herd.errors.push({ row: r + 1, id: id, message: errors[e] });
+      continue;
+    }
+
+    ids[id] = true;
+
+    var AGE_days = today - birth
+      , warnings = []
+      ;
+
+    if (calvings.length > 0 && calvings.length === parity) {
+      var AFC = (calvings[0] - birth) / DAYS_IN_MONTH;
+      if (AFC < ageFirstCalving[0] || AFC > ageFirstCalving[1])
+        warnings.push('age at first calving ' + round(AFC) + ' month');
+    }
+    for (var c = 1, cs = calvings.length; c < cs; c++) {
+      if (calvings[c] - calvings[c - 1] > maxCalvingInterval)
+        warnings.push('calving interval ' + (calvings[c] - calvings[c - 1]) + ' days');
+    }
+    if (parity > 0 && DG === 0 && today - last > maxDaysOpen)
+      warnings.push('not pregnant ' + (today - last) + ' days after calving');
+    if (parity === 0 && DG === 0 && AGE_days / DAYS_IN_MONTH > maxHeiferAge)
+      warnings.push('heifer not pregnant at ' + round(AGE_days / DAYS_IN_MONTH) + ' month');
+
+    for (var w = 0, ws = warnings.length; w < ws; w++)
+      herd.warnings.push({ row: r + 1, id: id, message: warnings[w] });
+
+    if (parity === 0) {
+      herd.heifers.push({
+          id: id
+        , AGE: round(AGE_days / DAYS_IN_MONTH)
+        , AGE_days: AGE_days
+        , DG: DG
+        , P: 0
+      });
+      var age = ceil(AGE_days / DAYS_IN_MONTH) || 1;
+      for (var y = herd.young.length; y < age; y++)
+        herd.young.push({ age: y + 1, no: 0 });
+      herd.young[age - 1].no++;
+    } else {
+      var DPP = today - last
+        , isDry = DG > 0 && gp * DAYS_IN_MONTH - DG <= dp * DAYS_IN_MONTH
+        ;
+      var cow = {
+          id: id
+        , DPP: DPP
+        , isDry: isDry
+        , DIM: isDry ? 0 : DPP
+        , DG: DG
+        , AGE: round(AGE_days / DAYS_IN_MONTH)
+        , AGE_days: AGE_days
+        , P: parity
+      };
+      cow.stage = stage(cow, gp);
+      herd.cows.push(cow);
+    }
+
+  }
+
+  return herd;
+
+};
+
+/*
+  Parses CSV animal records into record objects { id, birth, calvings, parity, insemination }. Column names are
+  matched case insensitive.
+
+  text    [string]  CSV with header row
+  columns [object]  column names if different from the defaults
+*/
+
+var csv = function (text, columns) {
+
+  var firstLine = text.split(/\r?\n/)[0]
+    , delimiter = (firstLine.indexOf(';') > -1) ? ';' : ','
+    , lines = fields(text, delimiter).filter(function (line) {
+        return line.length > 1 || line[0].trim() !== '';
+      })
+    , rows = []
+    ;
+
+  if (lines.length === 0)
+    return rows;
+
+  var header = lines[0].map(function (name) { return name.trim().toLowerCase(); })
+    , names = {
+        id: ['id', 'animal', 'animalid', 'animal_id']
+      , birth: ['birth', 'born', 'birthdate', 'birth_date']
+      , calvings: ['calvings', 'calving', 'calvingdates', 'calving_dates']
+      , parity: ['parity', 'lactation', 'lac']
+      , insemination: ['insemination', 'lastinsemination', 'last_insemination']
+    }
+    , index = {}
+    ;
+
+  for (var prop in names) {
+    var candidates = (columns && columns[prop]) ? [String(columns[prop]).toLowerCase()] : names[prop];
+    index[prop] = -1;
+    for (var n = 0, ns = candidates.length; n < ns; n++) {
+      if (header.indexOf(candidates[n]) > -1) {
+        index[prop] = header.indexOf(candidates[n]);
+        break;
+      }
+    }
+  }
+
+  for (var l = 1, ls = lines.length; l < ls; l++) {
+    var line = lines[l].map(function (field) { return field.trim(); })
+      , row = {}
+      ;
+    for (var prop in index)
+      row[prop] = (index[prop] > -1) ? line[index[prop]] : undefined;
+    rows.push(row);
+  }
+
+  return rows;
+
+};
+
+/* time [ms] of a date (month 1-12) or NaN if Date.UTC rolls the date over (day or month out of range) */
+
+var utc = function (year, month, day) {
+
+  var time = Date.UTC(year, month - 1, day)
+    , date = new Date(time)
+    ;
+
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day)
+    return NaN;
+
+  return time;
+
+};
+
+/*
+  Splits CSV text into lines of fields (RFC 4180): fields may be enclosed in double quotes and then contain the
+  delimiter, line breaks and escaped double quotes ("").
+
+  text      [string]
+  delimiter [string]
+*/
+
+var fields = function (text, delimiter) {
+
+  var lines = []
+    , line = []
+    , field = ''
+    , quoted = false
+    ;
+
+  for (var i = 0, is = text.length; i < is; i++) {
+    var char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      line.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n')
+        i++;
+      line.push(field);
+      lines.push(line);
+      line = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  line.push(field);
+  lines.push(line);
+
+  return lines;
+
+};
+
+/*
+  Days since 1970-01-01 (UTC) of a date. Returns NaN if the date is invalid (e.g. 2017-02-30 or 2017-13-01).
+
+  date  [string]  ISO (yyyy-mm-dd) or dd.mm.yyyy
+        [Date]
+*/
+
+var toDays = function (date) {
+
+  var time = NaN
+    , match = null
+    ;
+
+  if (date instanceof Date || Object.prototype.toString.call(date) === '[object Date]') {
+    time = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  } else if (typeof date === 'string') {
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(date.trim())))
+      time = utc(+match[1], +match[2], +match[3]);
+    else if ((match = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(date.trim())))
+      time = utc(+match[3], +match[2], +match[1]);
+  }
+
+  return floor(time / 864e5);
+
+};
+
+/*
+  Mean, standard deviation, min, max and percentiles (linear interpolation between closest ranks) of an array of values.
+
+  values      [array]
+  percentiles [array]   percentiles (0-1)
+*/
+
+var statistics = function (values, percentiles) {
+
+  var sorted = values.slice().sort(function (a, b) { return a - b; })
+    , n = sorted.length
+    , sum = 0
+    , sumSq = 0
+    , stats = { mean: 0, sd: 0, min: sorted[0], max: sorted[n - 1], percentiles: [] }
+    ;
+
+  for (var i = 0; i < n; i++)
+    sum += sorted[i];
+  stats.mean = sum / n;
+
+  for (var i = 0; i < n; i++)
+    sumSq += pow(sorted[i] - stats.mean, 2);
+  stats.sd = (n > 1) ? Math.sqrt(sumSq / (n - 1)) : 0;
+
+  for (var p = 0, ps = percentiles.length; p < ps; p++) {
+    var h = (n - 1) * percentiles[p]
+      , lo = floor(h)
+      , hi = ceil(h)
+      ;
+    stats.percentiles[p] = sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+  }
+
+  return stats;
+
+};
+
+/* returns a shallow copy of options with props overwritten */
+
+var extend = function (options, props) {
+
+  var copy = {};
+
+  for (var prop in options) {
+    if (options.hasOwnProperty(prop))
+      copy[prop] = options[prop];
+  }
+
+  for (var prop in props) {
+    if (props.hasOwnProperty(prop))
+      copy[prop] = props[prop];
+  }
+
+  return copy;
 
 };
 
 return {
-  get: get
+    get: get
+  , solve: solve
+  , daily: daily
+  , stochastic: stochastic
+  , project: project
+  , records: records
+  , fertility: fertility
+  , rng: rng
 };
 
 }());
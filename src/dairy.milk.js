@@ -1,5 +1,10 @@
 /*
   Calculate milk yield and solids adjusted for parity requiring estimates for parameters of Wood's lactation curve.
+  Alternative lactation curve models (Wilmink, Ali-Schaeffer, MilkBot, Legendre polynomials) are available in curves.
+  Cumulative yields and averages of Wood curves (milk_305, milk_days, fat_a, protein_a, fat_avg_305, fat_avg_days,
+  protein_avg_305, protein_avg_days, fromYield and the batch functions) add up the daily values of the first 30 days in
+  milk and of spans of up to 30 days and integrate the rest of the curve (see wood_days). The integral of milk uses the
+  incomplete gamma function of dairy.fit. If dairy.fit.js is not loaded all days are added up.
 
   REFERENCES
 
@@ -12,6 +17,18 @@
   DLG. 2006. Schätzung der Futteraufnahme bei der Milchkuh [Estimating feed intake of dairy cows]. DLG-Information
   1/2006. DLG-Verlag, Frankfurt/Main, Germany. p. 29.
 
+  Ali, T.E. and Schaeffer, L.R. 1987. Accounting for covariances among test day milk yields in dairy cows. Canadian
+  Journal of Animal Science 67(3):637-644.
+
+  Ehrlich, J.L. 2011. Quantifying shape of lactation curves, and benchmark curves for common dairy breeds and parities.
+  The Bovine Practitioner 45(1):88-95.
+
+  Kirkpatrick, M., Lofsvold, D. and Bulmer, M. 1990. Analysis of the inheritance, selection and evolution of growth
+  trajectories. Genetics 124(4):979-993.
+
+  Wilmink, J.B.M. 1987. Adjustment of test-day milk, fat and protein yield for age, season and stage of lactation.
+  Livestock Production Science 16(4):335-348.
+
   LICENSE
 
   Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
@@ -33,6 +50,12 @@ dairy.milk = (function () {
 
 var pow = Math.pow
   , exp = Math.exp
+  , log = Math.log
+  , abs = Math.abs
+  , max = Math.max
+  , min = Math.min
+  , DAYS_IN_MONTH = 30.5
+  , DAYS_SUMMED = 30 /* days in milk and span [day] up to which daily values are added up (see wood_days) */
   ;
 
 function is_null_or_undefined (x) {
@@ -43,7 +66,7 @@ function is_null_or_undefined (x) {
   DLG (1/2006), Tabelle 7
   
   Typical lactation milk yield data per yield level [day, milk yield]. May be used to estimate Wood's lactation curve 
-  parameters (e.g. with lmfit).
+  parameters (see fit).
 */
 var data = {
   '6500': [
@@ -147,13 +170,10 @@ var milk = function (a, b, c, n, p, BW_c, MBW) {
 };
 
 /*
-  Calculate Wood a parameter for fat.
-
-  We don't want to mess around with integrating incomplete gamma functions. Therefore we approximate with a numeric
-  integration and calculate the a parameter from 
+  Calculate Wood a parameter for fat from the closed form average (see fat_avg_days).
 
-    fat_average = a * (integrate pow(n, b) * exp(c * n) for n from 0 to 305/7) / 305/7
-    a = fat_average / ((integrate pow(n, b) * exp(c * n) for n from 0 to 305/7) / 305/7)
+    fat_average = a * (sum of pow(n, b) * exp(c * n) for n = day / 7 of days 1 to 305) / 305
+    a = fat_average / ((sum of pow(n, b) * exp(c * n) for n = day / 7 of days 1 to 305) / 305)
 
   If we calculate a here we only need % fat as an input parameter which is usually available.
 
@@ -161,22 +181,20 @@ var milk = function (a, b, c, n, p, BW_c, MBW) {
   fat_avg [%]     fat average
   p       [#]     Parity, defaults to parity > 2
   n_mx    [week]  Week of maximum milk yield
+  days    [day]   Lactation length of the fat average (default 305, see fat_avg_days)
 */
 
-var fat_a = function (fat_avg, p, n_mx) {
+var fat_a = function (fat_avg, p, n_mx, days) {
 
-  return fat_avg / fat_avg_305(1, p, n_mx);
+  return fat_avg / fat_avg_days(1, p, n_mx, 1, is_null_or_undefined(days) ? 305 : days);
 
 };
 
 /*
-  Calculate Wood a parameter for protein.
+  Calculate Wood a parameter for protein from the closed form average (see protein_avg_days).
 
-  We don't want to mess around with integrating incomplete gamma functions. Therefore we approximate with a numeric
-  integration and calculate the a parameter from 
-
-    protein_average = a * (integrate pow(n, b) * exp(c * n) for n from 0 to 305/7) / 305/7
-    a = protein_average / ((integrate pow(n, b) * exp(c * n) for n from 0 to 305/7) / 305/7)
+    protein_average = a * (sum of pow(n, b) * exp(c * n) for n = day / 7 of days 1 to 305) / 305
+    a = protein_average / ((sum of pow(n, b) * exp(c * n) for n = day / 7 of days 1 to 305) / 305)
 
   If we calculate a here we only need % protein as an input parameter which is usually available.
 
@@ -184,11 +202,12 @@ var fat_a = function (fat_avg, p, n_mx) {
   protein_avg [%]     protein average
   p           [#]     Parity, defaults to parity > 2
   n_mx        [week]  Week of maximum milk yield
+  days        [day]   Lactation length of the protein average (default 305, see protein_avg_days)
 */
 
-var protein_a = function (protein_avg, p, n_mx) {
+var protein_a = function (protein_avg, p, n_mx, days) {
 
-  return protein_avg / protein_avg_305(1, p, n_mx);
+  return protein_avg / protein_avg_days(1, p, n_mx, 1, is_null_or_undefined(days) ? 305 : days);
 
 };
 
@@ -202,15 +221,26 @@ var protein_a = function (protein_avg, p, n_mx) {
   a     [-]     Scale factor
   n     [week]  Week of lactation
   p     [#]     Parity, defaults to parity > 2
-  n_mx  [week]  Week of maximum milk yield
+  n_mx  [week]  Week of maximum milk yield (e.g. d_mx(curve) / 7)
 */
 
 var fat = function (a, n, p, n_mx) {
 
-  var fat = 0
-    , b = -0.1230 /* shape constant */
+  var shape = fat_shape(p, n_mx)
+    , fat = a * pow(n, shape[0]) * exp(shape[1] * n)
+    ;
+
+  return fat; 
+
+};
+
+/* Wood shape constants [b, c] of fat adjusted for parity and week of milk peak (see fat) */
+
+var fat_shape = function (p, n_mx) {
+
+  var b = -0.1230 /* shape constant */
     , c = 0.0104  /* shape constant */
-    ;  
+    ;
 
   if (p === 1)
     b += 0.0168;
@@ -223,9 +253,7 @@ var fat = function (a, n, p, n_mx) {
   c = -(b / (4 + n_mx));
   b = -((6 + n_mx) * c);
 
-  fat = a * pow(n, b) * exp(c * n);
-
-  return fat; 
+  return [b, c];
 
 };
 
@@ -239,13 +267,24 @@ var fat = function (a, n, p, n_mx) {
   a       [-]     Scale factor
   n       [week]  Week of lactation
   p       [#]     Parity, defaults to parity > 2
-  n_mx    [week]  Week of maximum milk yield
+  n_mx    [week]  Week of maximum milk yield (e.g. d_mx(curve) / 7)
 */
 
 var protein = function (a, n, p, n_mx) {
 
-  var protein = 0
-    , b = -0.1274 /* shape constant */
+  var shape = protein_shape(p, n_mx)
+    , protein = a * pow(n, shape[0]) * exp(shape[1] * n)
+    ;
+
+  return protein; 
+
+};
+
+/* Wood shape constants [b, c] of protein adjusted for parity and week of milk peak (see protein) */
+
+var protein_shape = function (p, n_mx) {
+
+  var b = -0.1274 /* shape constant */
     , c = 0.0107  /* shape constant */
     ;
 
@@ -260,9 +299,7 @@ var protein = function (a, n, p, n_mx) {
   c = -(b / (4 + n_mx));
   b = -((6 + n_mx) * c);
 
-  protein = a * pow(n, b) * exp(c * n);
-
-  return protein; 
+  return [b, c];
 
 };
 
@@ -271,15 +308,19 @@ var protein = function (a, n, p, n_mx) {
 
   Day of maximum milk yield: x/dx (a * x^(b-1) * exp(c * x) * (b + c*x)) = 0 -> -b/c
 
-  d_mx  [day]   day max milk 
-  b     [-]     Shape constant
-  c     [-]     Shape constant
-  p     [#]     Parity, defaults to parity > 2
+  d_mx  [day]     day max milk 
+  b     [-]       Shape constant or
+        [object]  lactation curve { model, params } (see peak)
+  c     [-]       Shape constant
+  p     [#]       Parity, defaults to parity > 2
 
 */
 
 var d_mx = function (b, c, p) {
 
+  if (b && typeof b === 'object')
+    return peak(b);
+
   /* in weeks */
   var n_mx = 0;
 
@@ -298,7 +339,8 @@ var d_mx = function (b, c, p) {
   305 days milk yield.
 
   milk_305  [kg]      Total milk yield in 305 days
-  a         [-]       Scale factor 
+  a         [-]       Scale factor or
+            [object]  lactation curve { model, params } (see cumulative)
   b         [-]       Shape constant
   c         [-]       Shape constant
   p         [#]       Parity, defaults to parity > 2
@@ -308,12 +350,10 @@ var d_mx = function (b, c, p) {
 
 var milk_305 = function (a, b, c, p, BW_c, MBW) {
 
-  var milk_305 = 0;
-
-  for (var day = 1; day < 306; day++)
-    milk_305 += milk(a, b, c, day / 7, p, BW_c, MBW);
+  if (a && typeof a === 'object')
+    return cumulative(a, 1, 305);
 
-  return milk_305;
+  return milk_days(a, b, c, p, BW_c, MBW, 1, 305);
 
 };
 
@@ -328,12 +368,7 @@ var milk_305 = function (a, b, c, p, BW_c, MBW) {
 
 var fat_avg_305 = function (a, p, n_mx) {
 
-  var fat_avg_305 = 0;
-
-  for (var day = 1; day < 306; day++)
-     fat_avg_305 += fat(a, day / 7, p, n_mx);
-
-  return fat_avg_305 / 305;
+  return fat_avg_days(a, p, n_mx, 1, 305);
 
 };
 
@@ -348,12 +383,954 @@ var fat_avg_305 = function (a, p, n_mx) {
 
 var protein_avg_305 = function (a, p, n_mx) {
 
-  var protein_avg_305 = 0;
+  return protein_avg_days(a, p, n_mx, 1, 305);
+
+};
+
+/*
+  Lactation length from calving interval and dry period (e.g. of a herd, see dairy.herd) to be used with milk_days,
+  fat_avg_days and protein_avg_days for extended lactations.
+
+  lactationLength [day]     days in milk at dry-off
+  CI              [month]   Calving interval (default 12)
+  DP              [month]   Dry period (default 2)
+*/
+
+var lactationLength = function (CI, DP) {
+
+  CI = is_null_or_undefined(CI) ? 12 : CI;
+  DP = is_null_or_undefined(DP) ? 2 : DP;
+
+  return (CI - DP) * DAYS_IN_MONTH;
+
+};
+
+/*
+  Milk yield of any part of a lactation from day from to day to (see milk_305 and wood_days). Spans of up to 30 days
+  and the first 30 days in milk are the sum of daily yields, longer spans differ from it by less than 0.001 %.
+
+  milk_days [kg]      Total milk yield from day from to day to
+  a         [-]       Scale factor or
+            [object]  lactation curve { model, params } followed by from and to (see cumulative)
+  b         [-]       Shape constant
+  c         [-]       Shape constant
+  p         [#]       Parity, defaults to parity > 2
+  BW_c      [kg]      Actual body weight at calving
+  MBW       [kg]      Mature body weight
+  from      [day]     First day in milk (default 1, values below 1 are set to 1)
+  to        [day]     Last day in milk (default 305, e.g. lactationLength(CI, DP))
+*/
+
+var milk_days = function (a, b, c, p, BW_c, MBW, from, to) {
+
+  if (a && typeof a === 'object')
+    return cumulative(a, b, c);
+
+  var q = wood(a, b, c, p, BW_c, MBW).params;
+
+  from = is_null_or_undefined(from) ? 1 : max(1, from);
+  to = is_null_or_undefined(to) ? 305 : to;
+
+  return wood_days(q[0], q[1], q[2], from, to);
+
+};
+
+/*
+  Average milk fat percent of any part of a lactation from day from to day to (see fat_avg_305). The Wood curve is
+  added up and integrated like in milk_days.
+
+  fat_avg_days  [%]     Average fat yield
+  a             [-]     Scale factor
+  p             [#]     Parity, defaults to parity > 2
+  n_mx          [week]  Week of maximum milk yield
+  from          [day]   First day in milk (default 1, values below 1 are set to 1)
+  to            [day]   Last day in milk (default 305, e.g. lactationLength(CI, DP))
+*/
+
+var fat_avg_days = function (a, p, n_mx, from, to) {
+
+  var shape = fat_shape(p, n_mx);
+
+  from = is_null_or_undefined(from) ? 1 : max(1, from);
+  to = is_null_or_undefined(to) ? 305 : to;
+
+  if (to < from)
+    return 0;
+
+  return wood_days(a, shape[0], shape[1], from, to) / (to - from + 1);
+
+};
+
+/*
+  Average milk protein percent of any part of a lactation from day from to day to (see protein_avg_305). The Wood curve
+  is added up and integrated like in milk_days.
+
+  protein_avg_days  [%]     Average protein yield
+  a                 [-]     Scale factor
+  p                 [#]     Parity, defaults to parity > 2
+  n_mx              [week]  Week of maximum milk yield
+  from              [day]   First day in milk (default 1, values below 1 are set to 1)
+  to                [day]   Last day in milk (default 305, e.g. lactationLength(CI, DP))
+*/
+
+var protein_avg_days = function (a, p, n_mx, from, to) {
+
+  var shape = protein_shape(p, n_mx);
+
+  from = is_null_or_undefined(from) ? 1 : max(1, from);
+  to = is_null_or_undefined(to) ? 305 : to;
+
+  if (to < from)
+    return 0;
+
+  return wood_days(a, shape[0], shape[1], from, to) / (to - from + 1);
+
+};
+
+/*
+  Sum of the daily values of Wood's curve a * n^b * exp(c * n) with n = day / 7 from day from to day to (from >= 1).
+  The curve bends most in early lactation where an integral over days deviates from the sum of daily values (by about
+  1 % on day 1). Therefore spans of up to DAYS_SUMMED days and days in milk up to DAYS_SUMMED are added up day by day
+  and the remaining days are integrated from day - 0.5 to to + 0.5 (see integral). If dairy.fit is not loaded the
+  incomplete gamma function is not available and all days of a curve with c < 0 are added up.
+
+  wood_days [-]     Sum of daily values
+  a         [-]     Scale factor
+  b         [-]     Shape constant
+  c         [-]     Shape constant
+  from      [day]   First day in milk
+  to        [day]   Last day in milk
+*/
+
+var wood_days = function (a, b, c, from, to) {
+
+  var sum = 0
+    , day = from
+    , last = (to - from < DAYS_SUMMED || (c < 0 && !(dairy.fit && dairy.fit.gammaP))) ? to : min(to, DAYS_SUMMED)
+    ;
+
+  for (; day <= last; day++)
+    sum += a * pow(day / 7, b) * exp(c * day / 7);
+
+  if (day <= to)
+    sum += 7 * a * integral(b, c, (day - 0.5) / 7, (to + 0.5) / 7);
+
+  return sum;
+
+};
+
+/*
+  Integral of Wood's curve n^b * exp(c * n) for n from n_1 to n_2 (b > -1). For c < 0 (milk) it is a difference of
+  lower incomplete gamma functions (see dairy.fit.gammaP)
+
+    (-c)^-(b + 1) * Gamma(b + 1) * (P(b + 1, -c * n_2) - P(b + 1, -c * n_1))
+
+  and for c >= 0 (fat and protein) the power series n^(b + 1) * sum((c * n)^k / (k! * (b + 1 + k))) from 0 to n.
+
+  integral  [week]  Definite integral
+  b         [-]     Shape constant
+  c         [-]     Shape constant
+  n_1       [week]  Week of lactation
+  n_2       [week]  Week of lactation
+*/
+
+var integral = function (b, c, n_1, n_2) {
+
+  if (b <= -1)
+    throw new Error('Wood shape constant b must be > -1');
+
+  if (n_2 <= n_1)
+    return 0;
+
+  if (c < 0) {
+    return exp(dairy.fit.lgamma(b + 1) - (b + 1) * log(-c)) *
+      (dairy.fit.gammaP(b + 1, -c * n_2) - dairy.fit.gammaP(b + 1, -c * max(0, n_1)));
+  }
+
+  return series(b, c, n_2) - series(b, c, n_1);
+
+};
+
+/* power series of the integral of n^b * exp(c * n) from 0 to n */
+
+var series = function (b, c, n) {
+
+  if (n <= 0)
+    return 0;
+
+  var term = 1
+    , sum = 1 / (b + 1)
+    ;
+
+  for (var k = 1; k < 1000; k++) {
+    term *= c * n / k;
+    sum += term / (b + 1 + k);
+    if (abs(term) < abs(sum) * 1e-15)
+      break;
+  }
+
+  return pow(n, b + 1) * sum;
+
+};
+
+/*
+  Daily milk yield of many cows (see milk). Each argument is either a number (same for all cows) or an array (e.g.
+  Float64Array) with a value per cow.
+
+  Returns a Float64Array of milk yields [kg] (or out).
+
+  a     [-]       Scale factor
+  b     [-]       Shape constant
+  c     [-]       Shape constant
+  n     [week]    Week of lactation
+  p     [#]       Parity, defaults to parity > 2
+  BW_c  [kg]      Actual body weight at calving
+  MBW   [kg]      Mature body weight
+  out   [array]   Float64Array to be filled (optional)
+*/
+
+var milk_batch = function (a, b, c, n, p, BW_c, MBW, out) {
+
+  var size = length([a, b, c, n, p, BW_c, MBW]);
+
+  out = out || new Float64Array(size);
+
+  for (var i = 0; i < size; i++)
+    out[i] = milk(at(a, i), at(b, i), at(c, i), at(n, i), at(p, i), at(BW_c, i), at(MBW, i));
+
+  return out;
+
+};
+
+/*
+  Milk yield from day from to day to of many cows (see milk_days and milk_batch).
+
+  Returns a Float64Array of milk yields [kg] (or out).
+
+  a, b, c, p, BW_c, MBW, from, to   see milk_days (numbers or arrays)
+  out                               Float64Array to be filled (optional)
+*/
+
+var milk_days_batch = function (a, b, c, p, BW_c, MBW, from, to, out) {
+
+  var size = length([a, b, c, p, BW_c, MBW, from, to]);
+
+  out = out || new Float64Array(size);
+
+  for (var i = 0; i < size; i++)
+    out[i] = milk_days(at(a, i), at(b, i), at(c, i), at(p, i), at(BW_c, i), at(MBW, i), at(from, i), at(to, i));
+
+  return out;
+
+};
+
+/* length of the first array in args (1 if all are numbers) */
+
+var length = function (args) {
+
+  for (var i = 0, is = args.length; i < is; i++) {
+    if (args[i] && typeof args[i] === 'object' && typeof args[i].length === 'number')
+      return args[i].length;
+  }
+
+  return 1;
+
+};
+
+/* value of x for cow i */
+
+var at = function (x, i) {
+
+  return (x && typeof x === 'object') ? x[i] : x;
+
+};
+
+/*
+  Lactation curve models. A lactation curve is an object { model, params } (e.g. returned by fit) and may be used with
+  y, peak, cumulative, d_mx and milk_305 (and thereby with fat and protein via n_mx = d_mx(curve) / 7). Each model
+  provides
+
+  y           [function]  (DIM, params) milk yield [kg] at day in milk
+  start       [function]  (DIM, kg, options) start values of params to fit the model to test days DIM [day] and kg [kg]
+  cumulative  [function]  (from, to, params) milk yield [kg] from day from to day to (optional, see cumulative)
+
+  Further models may be added to curves.
+
+  wood          y = a * n^b * exp(c * n) with n = DIM / 7 (Wood 1980, like milk but without parity adjustments)
+  wilmink       y = a + b * exp(-k * DIM) + c * DIM with k = 0.05 (Wilmink 1987)
+  aliSchaeffer  y = a + b * g + c * g^2 + d * ln(1 / g) + e * ln(1 / g)^2 with g = DIM / 305 (Ali & Schaeffer 1987)
+  milkbot       y = a * (1 - exp((c - DIM) / b) / 2) * exp(-d * DIM) with scale a, ramp b, offset c and decay d
+                (Ehrlich 2011)
+  legendre      y = sum(params[i] * P_i(x)) with normalized Legendre polynomials P_i (Kirkpatrick et al. 1990) and
+                x = -1 + 2 * (DIM - 1) / 304 i.e. DIM 1 to 305 mapped to [-1, 1]. The order is params.length - 1
+                (options.order in fit, default 4).
+*/
+
+var curves = {
+  wood: {
+      y: function (DIM, q) {
+        return q[0] * pow(DIM / 7, q[1]) * exp(q[2] * DIM / 7);
+      }
+    , start: function (DIM, kg) {
+        var logKg = [];
+        for (var i = 0, is = kg.length; i < is; i++)
+          logKg.push(log(kg[i]));
+        var q = dairy.fit.lm(function (DIM, q) { return q[0] + q[1] * log(DIM / 7) + q[2] * DIM / 7; }, DIM, logKg,
+          [0, 0, 0]).params;
+        return [exp(q[0]), q[1], q[2]];
+      }
+    , cumulative: function (from, to, q) {
+        return wood_days(q[0], q[1], q[2], from, to);
+      }
+  },
+  wilmink: {
+      y: function (DIM, q) {
+        return q[0] + q[1] * exp(-0.05 * DIM) + q[2] * DIM;
+      }
+    , start: function (DIM, kg) {
+        return [mean(kg), -mean(kg) / 2, 0];
+      }
+  },
+  aliSchaeffer: {
+      y: function (DIM, q) {
+        var g = DIM / 305
+          , l = log(1 / g)
+          ;
+        return q[0] + q[1] * g + q[2] * g * g + q[3] * l + q[4] * l * l;
+      }
+    , start: function (DIM, kg) {
+        return [mean(kg), 0, 0, 0, 0];
+      }
+  },
+  milkbot: {
+      y: function (DIM, q) {
+        return q[0] * (1 - exp((q[2] - DIM) / q[1]) / 2) * exp(-q[3] * DIM);
+      }
+    , start: function (DIM, kg) {
+        return [1.2 * Math.max.apply(null, kg), 20, 0, 0.002];
+      }
+  },
+  legendre: {
+      y: function (DIM, q) {
+        var x = -1 + 2 * (DIM - 1) / 304
+          , P_0 = 1
+          , P_1 = x
+          , y = q[0] * Math.SQRT1_2
+          ;
+        for (var i = 1, is = q.length; i < is; i++) {
+          y += q[i] * Math.sqrt((2 * i + 1) / 2) * P_1;
+          var P_2 = ((2 * i + 1) * x * P_1 - i * P_0) / (i + 1);
+          P_0 = P_1;
+          P_1 = P_2;
+        }
+        return y;
+      }
+    , start: function (DIM, kg, options) {
+        var order = (typeof options.order === 'number' && options.order >= 0) ? options.order : 4
+          , q = [mean(kg) / Math.SQRT1_2]
+          ;
+        for (var i = 0; i < order; i++)
+          q.push(0);
+        return q;
+      }
+  }
+};
+
+var mean = function (x) {
+
+  var sum = 0;
+
+  for (var i = 0, is = x.length; i < is; i++)
+    sum += x[i];
+
+  return sum / x.length;
+
+};
+
+/* model of a lactation curve { model, params } */
+
+var model = function (curve) {
+
+  var m = curves[curve.model];
+
+  if (!m)
+    throw new Error('unknown lactation curve ' + curve.model);
+
+  return m;
+
+};
+
+/*
+  Milk yield of a lactation curve.
+
+  y     [kg]      milk yield at day DIM
+  curve [object]  lactation curve { model, params }
+  DIM   [day]     day in milk
+*/
+
+var y = function (curve, DIM) {
+
+  return model(curve).y(DIM, curve.params);
+
+};
+
+/*
+  Day of maximum milk yield of a lactation curve: The day with the highest daily yield refined by golden section search.
+  For curves without a peak the first or last day is returned.
+
+  peak    [day]     day max milk
+  curve   [object]  lactation curve { model, params }
+  DIM_max [day]     last day considered (default 305)
+*/
+
+var peak = function (curve, DIM_max) {
+
+  var f = model(curve).y
+    , q = curve.params
+    , day = 1
+    , r = (Math.sqrt(5) - 1) / 2
+    ;
+
+  DIM_max = is_null_or_undefined(DIM_max) ? 305 : DIM_max;
+
+  for (var d = 2; d <= DIM_max; d++) {
+    if (f(d, q) > f(day, q))
+      day = d;
+  }
+
+  var lo = Math.max(1, day - 1)
+    , hi = Math.min(DIM_max, day + 1)
+    ;
+
+  for (var i = 0; i < 50; i++) {
+    var x_1 = hi - r * (hi - lo)
+      , x_2 = lo + r * (hi - lo)
+      ;
+    if (f(x_1, q) > f(x_2, q))
+      hi = x_2;
+    else
+      lo = x_1;
+  }
+
+  return (lo + hi) / 2;
+
+};
+
+/*
+  Cumulative milk yield of a lactation curve: sum of daily yields or the closed form of the model if available (wood,
+  see milk_days).
+
+  cumulative  [kg]      milk yield from day from to day to
+  curve       [object]  lactation curve { model, params }
+  from        [day]     first day in milk (default 1, values below 1 are set to 1)
+  to          [day]     last day in milk (default 305)
+*/
+
+var cumulative = function (curve, from, to) {
+
+  var m = model(curve)
+    , f = m.y
+    , sum = 0
+    ;
+
+  from = is_null_or_undefined(from) ? 1 : max(1, from);
+  to = is_null_or_undefined(to) ? 305 : to;
+
+  if (m.cumulative)
+    return m.cumulative(from, to, curve.params);
+
+  for (var day = from; day <= to; day++)
+    sum += f(day, curve.params);
+
+  return sum;
+
+};
+
+/*
+  Fit a lactation curve to test-day records by non-linear least squares (see dairy.fit.lm).
+
+  By default Wood's lactation curve (see milk) is fitted. The parameters are fitted through milk including its parity
+  adjustments: The returned a, b and c are the parameters expected by milk (and d_mx, milk_305) for parity p and a cow
+  of size BW_c / MBW i.e. they are back-transformed to the parity > 2 reference. The Wood parameters of the observed
+  curve itself are returned in curve and as lactation curve { model, params }. Start values are taken from the linear
+  regression of log(kg) on log(n) and n.
+
+  With options.model any model in curves is fitted (parity is ignored). The result is a lactation curve
+  { model, params } with SE and CI per parameter, the fit statistics, d_mx (see peak) and milk_305 (see cumulative).
+
+  In Node.js (or if no callback is provided) the fit runs synchronously and the result is returned. In a browser with
+  a callback the fit runs asynchronously in a web worker (options.worker, see lib/milk-fit-worker.js) and the result is
+  passed to callback(error, result).
+
+  Returns an object (model wood)
+
+  a         [-]       Scale factor
+  b         [-]       Shape constant
+  c         [-]       Shape constant
+  SE        [object]  standard errors { a, b, c }
+  CI        [object]  confidence intervals { a, b, c } [lower, upper]
+  level     [-]       confidence level
+  curve     [object]  Wood parameters of the observed curve { a, b, c } (parity and size adjusted)
+  p         [#]       parity
+  n         [#]       no. of records
+  RMSE      [kg]      root mean squared error
+  R2        [-]       coefficient of determination
+  converged [bool]    if the fit converged
+  status    [string]  status of the fit (see dairy.fit.lm)
+  d_mx      [day]     day milk peaks
+  milk_305  [kg]      305 days milk yield
+  model     [string]  'wood'
+  params    [array]   [a, b, c] of curve
+
+  or an object (any other model)
+
+  model     [string]  model in curves
+  params    [array]   fitted parameters of the model (see curves)
+  SE        [array]   standard errors per parameter
+  CI        [array]   confidence intervals per parameter [lower, upper]
+  level     [-]       confidence level
+  n         [#]       no. of records
+  RMSE      [kg]      root mean squared error
+  R2        [-]       coefficient of determination
+  converged [bool]    if the fit converged
+  status    [string]  status of the fit (see dairy.fit.lm)
+  d_mx      [day]     day milk peaks (see peak)
+  milk_305  [kg]      305 days milk yield (see cumulative)
+
+  records   [array]   test-day records { DIM [day], kg [kg] } or [DIM, kg] (like data)
+  options   [object]
+    model   [string]  lactation curve model in curves (default 'wood')
+    order   [#]       order of the legendre model (default 4)
+    p       [#]       parity, defaults to parity > 2 (wood only)
+    BW_c    [kg]      body weight at calving (parity 1 and 2, default MBW)
+    MBW     [kg]      mature body weight
+    level   [-]       confidence level (default 0.95)
+    worker  [string]  url of the worker script (default 'lib/milk-fit-worker.js'), only used with callback in a browser
+    scripts [array]   urls of dairy.fit.js and dairy.milk.js imported by the worker (default relative to the worker)
+  callback  [function] function (error, result)
+*/
+
+var fit = function (records, options, callback) {
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  options = options || {};
+
+  if (typeof callback === 'function' && typeof Worker !== 'undefined' && typeof window !== 'undefined') {
+    var worker = new Worker(options.worker || 'lib/milk-fit-worker.js');
+    worker.onmessage = function (evt) {
+      worker.terminate();
+      if (evt.data && evt.data.error)
+        callback(new Error(evt.data.error), null);
+      else
+        callback(null, evt.data);
+    };
+    worker.onerror = function (evt) {
+      worker.terminate();
+      callback(new Error(evt.message), null);
+    };
+    worker.postMessage({
+        records: records
+      , options: {
+            model: options.model
+          , order: options.order
+          , p: options.p
+          , BW_c: options.BW_c
+          , MBW: options.MBW
+          , level: options.level
+        }
+      , scripts: options.scripts
+    });
+    return;
+  }
+
+  var p = options.p
+    , MBW = (typeof options.MBW === 'number') ? options.MBW : 1
+    , BW_c = (typeof options.BW_c === 'number') ? options.BW_c : MBW
+    , days = testDays(records)
+    , n = []
+    , y = days.kg
+    , result = null
+    ;
+
+  for (var i = 0, is = days.DIM.length; i < is; i++)
+    n.push(days.DIM[i] / 7);
+
+  /* parity adjustments of b and c and size factor (see milk) */
+  var adj = (p === 1) ? [-0.0374, 0.0092, BW_c / MBW] : ((p === 2) ? [-0.0253, 0, BW_c / MBW] : [0.0460, -0.0052, 1])
+    , logY = []
+    ;
+
+  for (var i = 0, is = y.length; i < is; i++)
+    logY.push(log(y[i]));
+
+  try {
+
+    if (options.model && options.model !== 'wood') {
+      result = fitCurve(options.model, days.DIM, days.kg, options);
+    } else {
+      var start = dairy.fit.lm(function (n, q) { return q[0] + q[1] * log(n) + q[2] * n; }, n, logY, [0, 0, 0]).params
+        , wood = dairy.fit.lm(function (n, q) { return milk(q[0], q[1], q[2], n, p, BW_c, MBW); }, n, y,
+            [exp(start[0]) / adj[2], start[1] - adj[0], start[2] - adj[1]], { level: options.level })
+        , q = wood.params
+        ;
+
+      result = {
+          a: q[0]
+        , b: q[1]
+        , c: q[2]
+        , SE: { a: wood.SE[0], b: wood.SE[1], c: wood.SE[2] }
+        , CI: { a: wood.CI[0], b: wood.CI[1], c: wood.CI[2] }
+        , level: wood.level
+        , curve: { a: q[0] * adj[2], b: q[1] + adj[0], c: q[2] + adj[1] }
+        , p: p
+        , n: wood.n
+        , RMSE: wood.RMSE
+        , R2: wood.R2
+        , converged: wood.converged
+        , status: wood.status
+        , d_mx: d_mx(q[1], q[2], p)
+        , milk_305: milk_305(q[0], q[1], q[2], p, BW_c, MBW)
+        , model: 'wood'
+        , params: [q[0] * adj[2], q[1] + adj[0], q[2] + adj[1]]
+      };
+    }
+
+  } catch (e) {
+    if (typeof callback === 'function') {
+      callback(e, null);
+      return;
+    }
+    throw e;
+  }
+
+  if (typeof callback === 'function')
+    callback(null, result);
+
+  return result;
+
+};
+
+/*
+  Wood (1980)
+
+  Lactation curve { model, params } of Wood parameters adjusted for parity and size (see milk) to be used with y, peak,
+  cumulative, persistency and project.
+
+  wood  [object]  lactation curve { model: 'wood', params: [a, b, c] }
+  a     [-]       Scale factor
+  b     [-]       Shape constant
+  c     [-]       Shape constant
+  p     [#]       Parity, defaults to parity > 2
+  BW_c  [kg]      Actual body weight at calving
+  MBW   [kg]      Mature body weight
+*/
+
+var wood = function (a, b, c, p, BW_c, MBW) {
+
+  var params = [];
+
+  if (p === 1)
+    params = [BW_c / MBW * a, b - 0.0374, c + 0.0092];
+  else if (p === 2)
+    params = [BW_c / MBW * a, b - 0.0253, c + 0.0000];
+  else /* defaults to parity > 2 */
+    params = [a, b + 0.0460, c - 0.0052];
+
+  return { model: 'wood', params: params };
+
+};
+
+/*
+  Persistency of a lactation curve. The decline is the constant monthly rate that leads from the peak yield to the
+  yield at day to: 1 - (y(to) / y(d_mx))^(30.5 / (to - d_mx)).
+
+  Returns an object
+
+  P_200_100 [-]         ratio of the daily milk yields at 200 and 100 days in milk
+  decline   [-]         average relative decline of daily milk yield per month after the peak
+  d_mx      [day]       day max milk (see peak)
+  y_mx      [kg]        peak milk yield
+
+  curve     [object]    lactation curve { model, params } (see wood for Wood parameters)
+  to        [day]       Last day in milk (default 305, e.g. lactationLength(CI, DP))
+*/
+
+var persistency = function (curve, to) {
+
+  to = is_null_or_undefined(to) ? 305 : to;
+
+  var d = peak(curve, to)
+    , y_mx = y(curve, d)
+    ;
+
+  return {
+      P_200_100: y(curve, 200) / y(curve, 100)
+    , decline: (to > d && y_mx > 0) ? 1 - pow(y(curve, to) / y_mx, DAYS_IN_MONTH / (to - d)) : 0
+    , d_mx: d
+    , y_mx: y_mx
+  };
+
+};
+
+/*
+  Projection of the milk yield of a running lactation to the planned day of dry-off.
+
+  The lactation curve is fitted to the test days (see fit) or, if options.curve is provided (e.g. a herd or breed curve
+  from fromYield and wood), the curve is scaled to the test days by the ratio of the sums of observed and expected
+  yields. If there are not more test days than curve parameters (e.g. early in lactation) and no curve is provided the
+  Wood curve of fromYield(options.milk_305, p, BW_c, MBW) is scaled to the test days instead of a fit. Milk yield up to
+  the last test day is taken from the (scaled) curve. After the last test day the curve is scaled by the ratio of
+  observed and expected yield at the last test day i.e. the cow's current deviation from the curve is carried forward.
+
+  Returns an object
+
+  DIM             [day]     last test day
+  DIM_dry         [day]     day of dry-off
+  milk_to_date    [kg]      milk yield up to the last test day
+  milk_remaining  [kg]      milk yield from the day after the last test day to dry-off
+  milk            [kg]      milk yield of the lactation
+  curve           [object]  lactation curve { model, params } (fitted, options.curve or from fromYield)
+  scale           [-]       ratio of observed and expected yields of the test days (1 if the curve is fitted)
+  fitted          [bool]    if the curve was fitted to the test days
+
+  records         [array]   test-day records { DIM [day], kg [kg] } or [DIM, kg] (like data)
+  options         [object]
+    DIM_dry       [day]     planned day of dry-off (default lactationLength(CI, DP))
+    CI            [month]   Calving interval (default 12)
+    DP            [month]   Dry period (default 2)
+    curve         [object]  lactation curve { model, params } scaled to the test days instead of a fit
+    milk_305      [kg]      305 days milk yield or yield level key in data of the curve used if there are too few test
+                            days for a fit (see fromYield, default '8500')
+    model, order, p, BW_c, MBW  see fit
+*/
+
+var project = function (records, options) {
+
+  options = options || {};
+
+  var days = testDays(records)
+    , DIM_dry = (typeof options.DIM_dry === 'number') ? options.DIM_dry : lactationLength(options.CI, options.DP)
+    , curve = options.curve
+    , scale = 1
+    , last = 0
+    , fitted = false
+    ;
+
+  if (days.DIM.length === 0)
+    throw new Error('no test days');
+
+  for (var i = 1, is = days.DIM.length; i < is; i++) {
+    if (days.DIM[i] > days.DIM[last])
+      last = i;
+  }
+
+  var name = options.model || 'wood'
+    , k = (name === 'wood' || !curves[name]) ? 3 : curves[name].start(days.DIM, days.kg, options).length
+    ;
+
+  if (!curve && days.DIM.length <= k) { /* too few test days for a fit */
+    var sized = !is_null_or_undefined(options.BW_c) && !is_null_or_undefined(options.MBW)
+      , herd = fromYield(is_null_or_undefined(options.milk_305) ? '8500' : options.milk_305, options.p,
+          sized ? options.BW_c : 1, sized ? options.MBW : 1)
+      ;
+    curve = wood(herd.a, herd.b, herd.c, options.p, sized ? options.BW_c : 1, sized ? options.MBW : 1);
+  } else if (!curve) {
+    fitted = true;
+  }
+
+  if (!fitted) {
+    var observed = 0
+      , expected = 0
+      ;
+    for (var i = 0, is = days.DIM.length; i < is; i++) {
+      observed += days.kg[i];
+      expected += y(curve, days.DIM[i]);
+    }
+    scale = observed / expected;
+  } else {
+    var result = fit(records, {
+        model: options.model
+      , order: options.order
+      , p: options.p
+      , BW_c: options.BW_c
+      , MBW: options.MBW
+    });
+    curve = { model: result.model, params: result.params };
+  }
+
+  var DIM = days.DIM[last]
+    , milk_to_date = scale * cumulative(curve, 1, DIM)
+    , milk_remaining = days.kg[last] / y(curve, DIM) * cumulative(curve, DIM + 1, DIM_dry)
+    ;
+
+  return {
+      DIM: DIM
+    , DIM_dry: DIM_dry
+    , milk_to_date: milk_to_date
+    , milk_remaining: milk_remaining
+    , milk: milk_to_date + milk_remaining
+    , curve: curve
+    , scale: scale
+    , fitted: fitted
+  };
+
+};
+
+/* test days { DIM [array], kg [array] } from records { DIM, kg } or [DIM, kg] with positive DIM and kg */
+
+var testDays = function (records) {
+
+  var days = { DIM: [], kg: [] };
+
+  for (var r = 0, rs = records.length; r < rs; r++) {
+    var record = records[r]
+      , DIM = Array.isArray(record) ? record[0] : record.DIM
+      , kg = Array.isArray(record) ? record[1] : record.kg
+      ;
+    if (typeof DIM === 'number' && DIM > 0 && typeof kg === 'number' && kg > 0) {
+      days.DIM.push(DIM);
+      days.kg.push(kg);
+    }
+  }
+
+  return days;
+
+};
+
+/* fit a lactation curve model in curves to test days (see fit) */
+
+var fitCurve = function (name, DIM, kg, options) {
+
+  var m = curves[name];
+
+  if (!m)
+    throw new Error('unknown lactation curve ' + name);
+
+  var lm = dairy.fit.lm(m.y, DIM, kg, m.start(DIM, kg, options), { level: options.level })
+    , curve = { model: name, params: lm.params }
+    ;
+
+  return {
+      model: name
+    , params: lm.params
+    , SE: lm.SE
+    , CI: lm.CI
+    , level: lm.level
+    , n: lm.n
+    , RMSE: lm.RMSE
+    , R2: lm.R2
+    , converged: lm.converged
+    , status: lm.status
+    , d_mx: peak(curve)
+    , milk_305: cumulative(curve, 1, 305)
+  };
+
+};
+
+/*
+  Wood parameters from a 305 days milk yield. The shape (b, c) is taken from Wood curves fitted (see fit) to the DLG
+  yield levels in data and interpolated linearly between the levels' 305 days yields (the shape of the lowest or
+  highest level is used outside the range). The scale a is chosen such that milk_305 matches the target for parity p
+  and BW_c / MBW. Fat and protein scale parameters are derived with fat_a and protein_a from the averages if provided.
+
+  Returns an object
+
+  a         [-]       Scale factor
+  b         [-]       Shape constant
+  c         [-]       Shape constant
+  d_mx      [day]     day milk peaks
+  milk_305  [kg]      305 days milk yield
+  fat_a     [%]       Wood fat scale parameter (only if fat is provided)
+  protein_a [%]       Wood protein scale parameter (only if protein is provided)
+
+  target    [kg]      305 days milk yield or
+            [string]  yield level key in data (e.g. '8500')
+  p         [#]       Parity, defaults to parity > 2
+  BW_c      [kg]      Actual body weight at calving
+  MBW       [kg]      Mature body weight
+  fat       [%]       fat average
+  protein   [%]       protein average
+*/
+
+var fromYield = function (target, p, BW_c, MBW, fat, protein) {
+
+  var levels = shapes()
+    , b = 0
+    , c = 0
+    ;
+
+  if (typeof target === 'string') {
+    if (!data[target])
+      throw new Error('unknown yield level ' + target);
+    for (var l = 0, ls = levels.length; l < ls; l++) {
+      if (levels[l].key === target) {
+        b = levels[l].b;
+        c = levels[l].c;
+      }
+    }
+    target = Number(target);
+  } else if (target <= levels[0].milk_305) {
+    b = levels[0].b;
+    c = levels[0].c;
+  } else if (target >= levels[levels.length - 1].milk_305) {
+    b = levels[levels.length - 1].b;
+    c = levels[levels.length - 1].c;
+  } else {
+    for (var l = 1, ls = levels.length; l < ls; l++) {
+      if (target <= levels[l].milk_305) {
+        var w = (target - levels[l - 1].milk_305) / (levels[l].milk_305 - levels[l - 1].milk_305);
+        b = levels[l - 1].b + w * (levels[l].b - levels[l - 1].b);
+        c = levels[l - 1].c + w * (levels[l].c - levels[l - 1].c);
+        break;
+      }
+    }
+  }
+
+  if (is_null_or_undefined(BW_c) || is_null_or_undefined(MBW))
+    BW_c = MBW = 1;
+
+  var a = target / milk_305(1, b, c, p, BW_c, MBW)
+    , result = {
+          a: a
+        , b: b
+        , c: c
+        , d_mx: d_mx(b, c, p)
+        , milk_305: milk_305(a, b, c, p, BW_c, MBW)
+      }
+    ;
+
+  if (typeof fat === 'number')
+    result.fat_a = fat_a(fat, p, result.d_mx / 7);
+  if (typeof protein === 'number')
+    result.protein_a = protein_a(protein, p, result.d_mx / 7);
+
+  return result;
+
+};
+
+/* Wood curves fitted to the yield levels in data sorted by 305 days yield { key, b, c, milk_305 } (computed once) */
+
+var shapes_ = null;
+
+var shapes = function () {
+
+  if (shapes_)
+    return shapes_;
+
+  shapes_ = [];
+
+  for (var key in data) {
+    var wood = fit(data[key]);
+    shapes_.push({ key: key, b: wood.b, c: wood.c, milk_305: wood.milk_305 });
+  }
 
-  for (var day = 1; day < 306; day++)
-     protein_avg_305 += protein(a, day / 7, p, n_mx);
+  shapes_.sort(function (x, y) { return x.milk_305 - y.milk_305; });
 
-  return protein_avg_305 / 305;
+  return shapes_;
 
 };
 
@@ -393,7 +1370,22 @@ return {
   , milk_305: milk_305
   , fat_avg_305: fat_avg_305
   , protein_avg_305: protein_avg_305
+  , lactationLength: lactationLength
+  , milk_days: milk_days
+  , fat_avg_days: fat_avg_days
+  , protein_avg_days: protein_avg_days
+  , milk_batch: milk_batch
+  , milk_days_batch: milk_days_batch
   , ECM: ECM
+  , fit: fit
+  , fromYield: fromYield
+  , curves: curves
+  , y: y
+  , peak: peak
+  , cumulative: cumulative
+  , wood: wood
+  , persistency: persistency
+  , project: project
   , data: data
 };
 
@@ -0,0 +1,420 @@
+/*
+  Young stock rearing: body weight, requirements and intake of heifers from birth to first calving and the feed and
+  area needed to rear the young stock of a herd.
+
+  Body weight follows the growth function in dairy.body (Johnson 2008), requirements are calculated with the young stock
+  equations of the evaluation systems in dairy.requirements and intake capacity (CFU) with dairy.intake (Agabriel 2010).
+  Like in dairy.requirements intake capacity is used as dry matter intake assuming an average fill value of 1.
+
+  The young stock equations in dairy.requirements are partly regressions valid for a limited range of body weight and
+  body weight gain (see there). Below the lower body weight limit of a system (BW_min: 150 kg de, 100 kg fi and gb,
+  200 kg fr) energy requirements of calves are calculated with the calf equations of NRC (2001) in dairy.calf (see
+  calfRequirements). If the results of dairy.calf are provided body weight, gain and intake until weaning are taken from
+  the calf simulation and the growth curve is re-anchored at the weaning weight such that the target weight at first
+  calving is still reached. Without a calf simulation the growth function is used from birth: Its gain is highest at
+  birth and requirements of young calves may then exceed their intake capacity.
+
+  REFERENCES
+
+  Agabriel, J. 2010. Alimentation des bovins, ovins et caprins. Besoins des animaux - Valeurs des aliments. Tables INRA
+  2010. Editions Quae, France.
+
+  Johnson, I.R. 2008. Biophysical pasture model documentation: model documentation for DairyMod, EcoMod and the SGS
+  Pasture Model. IMJ Consultants, Armidale, NSW, Australia. p. 144. Available at:
+  http://imj.com.au/wp-content/uploads/2014/08/GrazeMod.pdf
+
+  NRC (National Research Council). 2001. Nutrient requirements of dairy cattle. 7th edition. National Academy Press,
+  Washington, D.C. USA.
+
+  LICENSE
+
+  Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
+  Copyright 2014 Lisa Baldinger <lisa.baldinger@boku.ac.at>
+
+  Distributed under the MIT License. See accompanying file LICENSE or copy at http://opensource.org/licenses/MIT
+
+  Any publication for which this file or a derived work is used must include an a reference to:
+
+  Vaillant, J. and Baldinger, L. 2016.
+  Application note: An open-source JavaScript library to simulate dairy cows and young stock,
+  their growth, requirements and diets.
+  Computers and Electronics in Agriculture, Volume 120, January 2016, Pages 7–9
+*/
+
+var dairy = dairy || {};
+
+dairy.rearing = (function () {
+
+var round = Math.round
+  , DAYS_IN_MONTH = 30.5
+  , DAYS_IN_YEAR = 365
+  , MJ_PER_MCAL = 4.184
+  ;
+
+/* [kg] lower body weight limit of the young stock requirement equations per system (see dairy.requirements) */
+var BW_min = { de: 150, fi: 100, gb: 100, fr: 200 };
+
+/* constant parameters with default values */
+var cons = {
+    ageFirstCalving: 24     /* [month] */
+  , gestationPeriod: 9.0    /* [month] */
+  , W_m: 650                /* [kg] mature body weight */
+  , W_c1: 0.85              /* [kg kg-1] fraction of mature body weight at first calving */
+  , forage: 1.0             /* [kg kg-1] share of forage in diet */
+  , ME: 11.0                /* [MJ kg-1 (DM)] energy density of the diet (only used with system gb) */
+  , forageYield: 8000       /* [kg (DM) ha-1 year-1] forage yield */
+};
+
+/*
+  Body weight, intake capacity and requirements of a heifer at day age. Heifers are pregnant from ageFirstCalving minus
+  gestationPeriod onwards.
+
+  Returns an object
+
+  BW        [kg]          body weight
+  BWC       [kg d-1]      body weight change
+  WG        [week]        week of gestation
+  IC        [CFU]         intake capacity (~ kg DM at FV = 1)
+  DM        [kg]          dry matter intake (IC or milk, replacer and starter DM from dairy.calf until weaning)
+  milk      [kg]          whole milk fed (only until weaning if options.calf is provided)
+  replacer  [kg]          milk replacer powder fed (only until weaning if options.calf is provided)
+  E         [MJ or UFL]   energy requirements (ME for de, fi and gb, UFL for fr; calf requirements below BW_min)
+  P         [g]           protein requirements (uCP for de, MP for fi and gb, PDI for fr)
+
+  age     [day]     age in days
+  options [object]  see get
+*/
+
+var heifer = function (age, options) {
+
+  var p = parameters(options)
+    , W_b = (typeof p.W_b === 'number') ? p.W_b : dairy.body.WB(p.W_m)
+    , calf = p.calf
+    , WG = (age > (p.ac - p.gp) * DAYS_IN_MONTH) ? (age - (p.ac - p.gp) * DAYS_IN_MONTH) / 7 : 0
+    , BW = 0
+    , BWC = 0
+    , milk = 0
+    , replacer = 0
+    , day = null
+    ;
+
+  if (calf && age <= calf.weaning) { /* milk-fed calf */
+    day = calf.days[Math.max(0, Math.ceil(age) - 1)];
+    BW = day.BW;
+    BWC = day.ADG;
+    milk = day.milk;
+    replacer = day.replacer;
+  } else {
+    BW = growth(age, W_b, p);
+    BWC = BW - growth(age - 1, W_b, p);
+  }
+
+  var IC = dairy.intake.IC(BW, 0, 0, 0, WG, age / DAYS_IN_MONTH, 0)
+    , DM = day ? day.DM : IC
+    , req = (BW < BW_min[p.system])
+      ? calfRequirements(BW, BWC, age, day, W_b, p)
+      : requirements(p.system, BW, BWC, WG, IC, W_b, p)
+    ;
+
+  return {
+      BW: BW
+    , BWC: BWC
+    , WG: WG
+    , IC: IC
+    , DM: DM
+    , milk: milk
+    , replacer: replacer
+    , E: req.E
+    , P: req.P
+  };
+
+};
+
+/*
+  Body weight from the growth function in dairy.body. If a calf simulation is provided body weight after weaning is
+
+    W = W_m - (W_m - W_w + a * t) * exp(-k * t), t = age - age_w
+
+  that starts at the weaning weight W_w with the gain at weaning (continuous in weight and gain) and reaches W_c1 * W_m
+  at ageFirstCalving (see weaning).
+
+  W   [kg]    body weight
+  age [day]   age in days
+  W_b [kg]    weight of calf at birth
+*/
+
+var growth = function (age, W_b, p) {
+
+  if (!p.calf)
+    return dairy.body.W(age, p.ac, W_b, p.W_c1, p.W_m);
+
+  var w = p.weaning
+    , t = age - w.age
+    ;
+
+  return p.W_m - (p.W_m - w.W + w.a * t) * Math.exp(-w.k * t);
+
+};
+
+/*
+  Parameters of the growth curve after weaning. With A = W_m - W_w the gain at weaning is k * A - a. Setting it to the
+  gain of the calf at weaning (ADG_w) gives a = k * A - ADG_w and k is solved (bisection) from the weight at first
+  calving: (A + a * T) * exp(-k * T) = W_m * (1 - W_c1), T = ageFirstCalving - age_w. Of the two solutions the one
+  with k > ADG_w / A is used (a > 0, gain increases after weaning and then declines). If the target weight is exceeded
+  even with k = ADG_w / A (monomolecular curve from the weaning gain) this k is used and W_c1 * W_m is not met.
+
+  calf  [object]  results of dairy.calf.get
+*/
+
+var weaning = function (calf, p) {
+
+  var ADG_w = calf.days[calf.days.length - 1].ADG
+    , A = p.W_m - calf.BW_weaning
+    , T = p.ac * DAYS_IN_MONTH - calf.weaning
+    , target = p.W_m * (1 - p.W_c1)
+    , f = function (k) { return (A + (k * A - ADG_w) * T) * Math.exp(-k * T); }
+    , lo = ADG_w / A
+    , hi = 2 * lo + 1 / T
+    ;
+
+  if (f(lo) > target) {
+    while (f(hi) > target)
+      hi *= 2;
+    for (var i = 0; i < 100; i++) {
+      if (f((lo + hi) / 2) > target)
+        lo = (lo + hi) / 2;
+      else
+        hi = (lo + hi) / 2;
+    }
+  }
+
+  return {
+      age: calf.weaning
+    , W: calf.BW_weaning
+    , k: lo
+    , a: lo * A - ADG_w
+  };
+
+};
+
+/*
+  Young stock requirements per evaluation system. The signatures of the requirement functions differ between systems.
+  If grazing is provided maintenance energy is increased by the activity addition (see dairy.requirements).
+*/
+
+var requirements = function (system, BW, BWC, WG, IC, W_b, p) {
+
+  var sys = dairy.requirements[system]
+    , f = p.forage
+    , main = null
+    , weit = null
+    , gest = null
+    ;
+
+  if (!sys)
+    throw new Error('unknown requirements system ' + system);
+
+  if (system === 'de') {
+    main = sys.main(BW, IC, f, 0);
+    weit = sys.weit(BWC, BW, 0);
+    gest = sys.gest(WG, 0, 0);
+  } else if (system === 'fi') {
+    main = sys.main(BW, IC, f, BWC, p.type, 0);
+    weit = sys.weit(BWC, BW, p.type, 0);
+    gest = sys.gest(WG);
+  } else if (system === 'gb') {
+    main = sys.main(BW, IC, p.ME * IC, f, null, null, BWC, 0);
+    weit = sys.weit(BWC, 0);
+    gest = sys.gest(WG, 0);
+  } else if (system === 'fr') {
+    main = sys.main(BW, IC, f, 0);
+    weit = sys.weit(BW, BWC, 0, 0);
+    gest = sys.gest(WG, W_b, 0);
+  }
+
+  if (p.grazing)
+    main.E *= 1 + sys.actv(BW, p.grazing.f, p.grazing.d, p.grazing.d_v);
+
+  return {
+      E: main.E + weit.E + gest.E
+    , P: main.P + weit.P + gest.P
+  };
+
+};
+
+/*
+  NRC (2001) p. 215-216
+
+  Requirements of calves below the body weight range of the young stock equations (BW_min). Energy requirements are
+  ME for maintenance and gain from dairy.calf.NEm and NEg. Until weaning and if a calf simulation is provided they are
+  taken from the simulation (liquid feed and starter efficiencies), otherwise the efficiencies of dry feeds with energy
+  density p.ME are used. For system fr ME is converted to UFL with k_l = 0.60 as in dairy.requirements. NRC (2001) calf
+  protein requirements are not available in the units of the systems: protein requirements are the energy requirements
+  times the protein to energy ratio of the system's requirements at BW_min.
+
+  age [day]     age in days
+  day [object]  day of the calf simulation or null
+*/
+
+var calfRequirements = function (BW, BWC, age, day, W_b, p) {
+
+  var ME = 0 /* [MJ d-1] */
+    , k = dairy.calf.k_dry(p.ME / MJ_PER_MCAL)
+    , IC_min = dairy.intake.IC(BW_min[p.system], 0, 0, 0, 0, age / DAYS_IN_MONTH, 0)
+    , req_min = requirements(p.system, BW_min[p.system], BWC, 0, IC_min, W_b, p)
+    , E = 0
+    ;
+
+  if (day)
+    ME = (day.ADG > 0) ? day.ME : day.MEm;
+  else
+    ME = (dairy.calf.NEm(BW) / k.m + dairy.calf.NEg(BW, Math.max(0, BWC)) / k.g) * MJ_PER_MCAL;
+
+  E = (p.system === 'fr') ? ME / MJ_PER_MCAL * 1000 * 0.60 / 1700 : ME;
+
+  if (p.grazing && !day)
+    E *= 1 + dairy.requirements[p.system].actv(BW, p.grazing.f, p.grazing.d, p.grazing.d_v);
+
+  return {
+      E: E
+    , P: E * req_min.P / req_min.E
+  };
+
+};
+
+/*
+  Requirements, intake and area of the young stock of a herd up to first calving. Young stock numbers are assumed to be
+  constant over the year (steady state herd structure, see dairy.herd.get).
+
+  Returns an object
+
+  months      [array]   per age month { age [month], no, BW, BWC, WG, IC, DM, milk, replacer, E, P } with daily
+                        values per heifer in the middle of the age month
+  heifer      [object]  totals per heifer from birth to first calving { DM [kg], milk [kg], replacer [kg], E, P [g] }
+  total       [object]  totals of the young stock per year { DM [kg], milk [kg], replacer [kg], E, P [g],
+                        area [ha] }
+
+  options
+    young           [array]   young stock per age month { age, no } as returned by dairy.herd.get (default one heifer
+                              per age month)
+    system          [enum]    requirements system 'de', 'fi', 'gb' or 'fr' (default 'de')
+    ageFirstCalving [month]
+    gestationPeriod [month]
+    W_m             [kg]      mature body weight
+    W_b             [kg]      weight of calf at birth (default dairy.body.WB)
+    W_c1            [kg kg-1] fraction of mature body weight at first calving
+    type            [enum]    'milk' or 'dual' (only used with system fi)
+    forage          [kg kg-1] share of forage in diet
+    ME              [MJ kg-1] energy density of the diet (only used with system gb)
+    forageYield     [kg ha-1] forage dry matter yield per year. Area is the forage DM needed by weaned young stock
+                              (forage share of DM intake) divided by forageYield.
+    grazing         [object]  { f [kg kg-1] share of pasture in diet, d [km] distance, d_v [m] vertical distance }
+    calf            [object]  results of dairy.calf.get
+*/
+
+var get = function (options) {
+
+  options = options || {};
+
+  var p = parameters(options)
+    , young = []
+    , forage = 0 /* DM intake of weaned young stock */
+    , result = {
+          months: []
+        , heifer: { DM: 0, milk: 0, replacer: 0, E: 0, P: 0 }
+        , total: { DM: 0, milk: 0, replacer: 0, E: 0, P: 0, area: 0 }
+      }
+    ;
+
+  for (var m = 0; m < p.ac; m++)
+    young[m] = Array.isArray(options.young) ? 0 : 1;
+
+  if (Array.isArray(options.young)) {
+    for (var y = 0, ys = options.young.length; y < ys; y++) {
+      var age = round(options.young[y].age);
+      if (age >= 1 && age <= p.ac)
+        young[age - 1] += options.young[y].no || 0;
+    }
+  }
+
+  for (var m = 0; m < p.ac; m++) {
+
+    var day = heifer((m + 0.5) * DAYS_IN_MONTH, options);
+
+    result.months.push({
+        age: m + 1
+      , no: young[m]
+      , BW: day.BW
+      , BWC: day.BWC
+      , WG: day.WG
+      , IC: day.IC
+      , DM: day.DM
+      , milk: day.milk
+      , replacer: day.replacer
+      , E: day.E
+      , P: day.P
+    });
+
+    result.total.DM += young[m] * day.DM * DAYS_IN_YEAR;
+    if (day.milk === 0 && day.replacer === 0)
+      forage += young[m] * day.DM * DAYS_IN_YEAR;
+    result.total.milk += young[m] * day.milk * DAYS_IN_YEAR;
+    result.total.replacer += young[m] * day.replacer * DAYS_IN_YEAR;
+    result.total.E += young[m] * day.E * DAYS_IN_YEAR;
+    result.total.P += young[m] * day.P * DAYS_IN_YEAR;
+
+  }
+
+  /* daily sums per heifer from birth to first calving */
+  for (var d = 1, ds = round(p.ac * DAYS_IN_MONTH); d <= ds; d++) {
+    var day = heifer(d, options);
+    result.heifer.DM += day.DM;
+    result.heifer.milk += day.milk;
+    result.heifer.replacer += day.replacer;
+    result.heifer.E += day.E;
+    result.heifer.P += day.P;
+  }
+
+  result.total.area = forage * p.forage / p.forageYield;
+
+  return result;
+
+};
+
+/* model parameters from options and defaults */
+
+var parameters = function (options) {
+
+  options = options || {};
+
+  var number = function (prop) {
+    return (typeof options[prop] === 'number' && !isNaN(options[prop])) ? options[prop] : cons[prop];
+  };
+
+  var p = {
+      system: options.system || 'de'
+    , ac: number('ageFirstCalving')
+    , gp: number('gestationPeriod')
+    , W_m: number('W_m')
+    , W_b: options.W_b
+    , W_c1: number('W_c1')
+    , type: options.type || 'milk'
+    , forage: number('forage')
+    , ME: number('ME')
+    , forageYield: number('forageYield')
+    , grazing: (options.grazing && typeof options.grazing === 'object') ? options.grazing : null
+    , calf: (options.calf && Array.isArray(options.calf.days)) ? options.calf : null
+  };
+
+  p.weaning = p.calf ? weaning(p.calf, p) : null;
+
+  return p;
+
+};
+
+return {
+    get: get
+  , heifer: heifer
+};
+
+}());
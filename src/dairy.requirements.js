@@ -39,6 +39,9 @@
   Tyrrell, H.F. and Reid, J.T. 1965. Prediction of the energy value of cow's milk. Journal of Dairy Science 48(9):
   1215-1223.
 
+  Goff, J.P. 2008. The monitoring, prevention, and treatment of milk fever and subclinical hypocalcemia in dairy cows.
+  The Veterinary Journal 176(1):50-57.
+
   LICENSE
 
   Copyright 2014 Jan Vaillant   <jan.vaillant@zalf.de>
@@ -67,6 +70,9 @@ var log = Math.log
     }
   , WEEKS_IN_MONTH = 30.5 / 7
   , WEEKS_GESTATION_PERIOD = 40
+  , DAYS_IN_MONTH = 30.5
+  , DAYS_CLOSE_UP = 21
+  , DAYS_FRESH = 21
   ;
 
 function is_null_or_undefined (x) {
@@ -1391,11 +1397,129 @@ var fr = (function () {
 
 }());
 
+/*
+  Goff (2008)
+
+  Dietary cation-anion difference (DCAD) from the Na, K, Cl and S content of the diet:
+
+    DCAD = (Na + K) - (Cl + S) in mEq kg-1 (DM)
+
+  DCAD  [mEq kg-1 (DM)]
+  Na    [g kg-1 (DM)]
+  K     [g kg-1 (DM)]
+  Cl    [g kg-1 (DM)]
+  S     [g kg-1 (DM)]
+*/
+
+var DCAD = function (Na, K, Cl, S) {
+
+  return 1000 * (Na / 22.99 + K / 39.10 - Cl / 35.45 - 2 * S / 32.06);
+
+};
+
+/*
+  DCAD target ranges [mEq kg-1 (DM)] per transition stage. Negative DCAD (acidogenic) diets during the close-up period
+  help to prevent milk fever (Goff 2008). The ranges are common recommendations and should be adapted to local advice
+  (e.g. urine pH monitoring of close-up cows). There is no target for far-off dry cows.
+*/
+
+var DCAD_TARGETS = {
+    farOff: null
+  , closeUp: [-150, -50]
+  , fresh: [250, 400]
+  , lactating: [250, 400]
+};
+
+/*
+  Requirements specific to transition stages: Cows are grouped into far-off dry, close-up (last 3 weeks before
+  calving), fresh (up to 21 days in milk) and lactating cows (see dairy.herd.get). For each group the average gestation
+  requirements of the evaluation system (rising steeply in the close-up group) and the DCAD target are returned.
+
+  Returns an object with the stages farOff, closeUp, fresh and lactating { n, DIM, WG, gest: { E, P }, DCAD }
+
+  n     [#]               no. of cows
+  DIM   [day]             average days in milk
+  WG    [week]            average week of gestation
+  gest  [{E, P}]          average gestation requirements per cow in the units of the system
+  DCAD  [mEq kg-1 (DM)]   target range [min, max] or null
+
+  system          [enum]    'de', 'fi', 'gb' or 'fr'
+  cows            [array]   cows as returned by dairy.herd.get { isDry, DIM, DG, P, stage }. If stage is missing it is
+                            derived from isDry, DIM and DG as in dairy.herd: dry cows are close-up from
+                            gestationPeriod * 30.5 - 21 days of gestation.
+  WB              [kg]      birth weight of calf (only used with system fr, default 40)
+  gestationPeriod [month]   gestation period (default 9, as in dairy.herd)
+*/
+
+var transition = function (system, cows, WB, gestationPeriod) {
+
+  var sys = { de: de, fi: fi, gb: gb, fr: fr }[system]
+    , stages = {}
+    ;
+
+  if (!sys)
+    throw new Error('unknown requirements system ' + system);
+
+  WB = is_null_or_undefined(WB) ? 40 : WB;
+  gestationPeriod = is_null_or_undefined(gestationPeriod) ? 9 : gestationPeriod;
+
+  for (var stage in DCAD_TARGETS)
+    stages[stage] = { n: 0, DIM: 0, WG: 0, gest: { E: 0, P: 0 }, DCAD: DCAD_TARGETS[stage] };
+
+  for (var c = 0, cs = cows.length; c < cs; c++) {
+
+    var cow = cows[c]
+      , WG = (cow.DG || 0) / 7
+      , DIM = cow.isDry ? 0 : (cow.DIM || 0)
+      , stage = cow.stage
+      , gest = null
+      ;
+
+    if (!stages[stage]) {
+      if (cow.isDry)
+        stage = ((cow.DG || 0) >= gestationPeriod * DAYS_IN_MONTH - DAYS_CLOSE_UP) ? 'closeUp' : 'farOff';
+      else
+        stage = (DIM <= DAYS_FRESH) ? 'fresh' : 'lactating';
+    }
+
+    if (system === 'de')
+      gest = sys.gest(WG, DIM, cow.P);
+    else if (system === 'fi')
+      gest = sys.gest(WG);
+    else if (system === 'gb')
+      gest = sys.gest(WG, cow.P);
+    else
+      gest = sys.gest(WG, WB, cow.P);
+
+    stages[stage].n++;
+    stages[stage].DIM += DIM;
+    stages[stage].WG += WG;
+    stages[stage].gest.E += gest.E;
+    stages[stage].gest.P += gest.P;
+
+  }
+
+  for (var stage in stages) {
+    var group = stages[stage];
+    if (group.n > 0) {
+      group.DIM /= group.n;
+      group.WG /= group.n;
+      group.gest.E /= group.n;
+      group.gest.P /= group.n;
+    }
+  }
+
+  return stages;
+
+};
+
 return {
     de: de
   , fi: fi
   , gb: gb
   , fr: fr
+  , DCAD: DCAD
+  , transition: transition
 };
 
 }());